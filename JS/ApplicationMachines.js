@@ -0,0 +1,98 @@
+/* The two controllers of FSM_Applications.html as runnable machines
+   (automaton JSON with outputs, see machineKind() in AutomataCore.js)
+   - trafficLight : Moore machine, the lamps are the output of each state
+   - vendingMachine : Mealy machine, every move emits what the display and
+     the mechanics do on entering the next state
+   Inputs are event names, so runs are written space-separated:
+     "t_G_main t_Y_main t_AR_PED"
+*/
+
+const EVENT_TOKENIZER = { mode: "separator", separator: " " };
+
+const TRAFFIC_LIGHT = {
+    states: ["S1", "S2", "S3", "S4", "S5", "S6", "S7"],
+    alphabet: ["t_G_main", "t_Y_main", "t_AR", "t_AR_PED", "t_AR_NOPED", "t_PW", "t_PF", "t_G_side", "t_Y_side", "reset"],
+    start: "S1",
+    accept: [],
+    transitions: {
+        S1: { t_G_main: ["S2"], reset: ["S1"] },
+        S2: { t_Y_main: ["S3"], reset: ["S1"] },
+        S3: { t_AR: ["S4"], t_AR_NOPED: ["S4"], t_AR_PED: ["S6"], reset: ["S1"] },
+        S4: { t_G_side: ["S5"], reset: ["S1"] },
+        S5: { t_Y_side: ["S1"], reset: ["S1"] },
+        S6: { t_PW: ["S7"], reset: ["S1"] },
+        S7: { t_PF: ["S4"], reset: ["S1"] }
+    },
+    stateOutputs: {
+        S1: "Main_G, Side_R, Ped_S",
+        S2: "Main_Y, Side_R, Ped_S",
+        S3: "Main_R, Side_R, Ped_S",
+        S4: "Side_G, Main_R, Ped_S",
+        S5: "Side_Y, Main_R, Ped_S",
+        S6: "Ped_W, Main_R, Side_R",
+        S7: "Ped_F, Main_R, Side_R"
+    }
+};
+
+const VENDING_MACHINE = {
+    states: ["S1", "S2", "S3", "S4", "S5", "S6", "S7"],
+    alphabet: ["coin_inserted", "credit_ge_price", "cancel", "timeout", "select_ok", "select_empty", "done", "stock_empty", "stock_ok"],
+    start: "S1",
+    accept: [],
+    transitions: {
+        S1: { coin_inserted: ["S2"], stock_empty: ["S7"] },
+        S2: { coin_inserted: ["S2"], credit_ge_price: ["S3"], cancel: ["S6"], timeout: ["S6"] },
+        S3: { select_ok: ["S4"], select_empty: ["S6"], cancel: ["S6"], timeout: ["S6"] },
+        S4: { done: ["S5"] },
+        S5: { done: ["S1"] },
+        S6: { done: ["S1"] },
+        S7: { stock_ok: ["S1"] }
+    },
+    transitionOutputs: {
+        S1: { coin_inserted: "Display \"Balance: X\"", stock_empty: "Display \"Out of Stock\", Lock" },
+        S2: {
+            coin_inserted: "Display \"Balance: X\"",
+            credit_ge_price: "Display \"Select Item\"",
+            cancel: "Refund, Display \"Refunding\"",
+            timeout: "Refund, Display \"Refunding\""
+        },
+        S3: {
+            select_ok: "Dispense, Lock",
+            select_empty: "Refund, Display \"Refunding\"",
+            cancel: "Refund, Display \"Refunding\"",
+            timeout: "Refund, Display \"Refunding\""
+        },
+        S4: { done: "Return_Ch" },
+        S5: { done: "Display \"Insert Coin\", Ready" },
+        S6: { done: "Display \"Insert Coin\", Ready" },
+        S7: { stock_ok: "Display \"Insert Coin\", Ready" }
+    }
+};
+
+/* id → { title, automaton, names: state descriptions, example: an input run
+   from the page's "Example Run" section } */
+const APPLICATION_MACHINES = {
+    trafficLight: {
+        title: "Traffic light controller (Moore)",
+        automaton: TRAFFIC_LIGHT,
+        names: {
+            S1: "Main Green", S2: "Main Yellow", S3: "All-Red", S4: "Side Green",
+            S5: "Side Yellow", S6: "Pedestrian Walk", S7: "Pedestrian Flash"
+        },
+        example: "t_G_main t_Y_main t_AR_PED t_PW t_PF t_G_side t_Y_side"
+    },
+    vendingMachine: {
+        title: "Vending machine controller (Mealy)",
+        automaton: VENDING_MACHINE,
+        names: {
+            S1: "Idle", S2: "Accepting Coins", S3: "Sufficient Credit", S4: "Dispensing",
+            S5: "Returning Change", S6: "Refunding", S7: "Out of Stock"
+        },
+        example: "coin_inserted coin_inserted credit_ge_price select_ok done done"
+    }
+};
+
+// Node: the same data as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = { EVENT_TOKENIZER, TRAFFIC_LIGHT, VENDING_MACHINE, APPLICATION_MACHINES };
+}
@@ -0,0 +1,543 @@
+/* Automaton algorithms without any DOM: the same file is a <script> for the
+   pages and a CommonJS module for Node (cli/fsm.js, test/)
+   - epsilonClosure / simulate / accepts : runs on any NFA or DFA, ε-moves under EPSILON
+   - findCounterexample / runPath        : language equivalence, shortest distinguishing string
+   - nfaToDfa                            : subset construction (bitset subsets)
+   - normalizeEpsilon                    : every ε spelling rewritten to EPSILON
+   - buildTrieDFA / minimizeAcyclicDFA   : finite language → trie → minimal DAFSA
+   - findCycleState                      : acyclicity check for imported DAFSAs
+   - machineKind / transduce             : Moore and Mealy machines (outputs)
+   Symbols come from Tokenize.js; minimizeAcyclicDFA attaches the counts of
+   WordIndex.js. In Node those files are required here; in the browser they
+   are <script>s of the same page.
+*/
+
+// Node: the helpers the pages load as separate <script>s
+if (typeof module === "object" && module.exports) Object.assign(globalThis, require("./Tokenize.js"), require("./WordIndex.js"));
+
+const EPSILON = "ε";
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+
+// ε-closure: every state reachable from `set` using only ε-moves
+// (the optional `taken` array collects the "from→to" ε-edges followed)
+function epsilonClosure(a, set, taken) {
+    const closure = new Set(set);
+    const stack = [...set];
+    while (stack.length) {
+        const q = stack.pop();
+        const moves = (((a.transitions || {})[q] || {})[EPSILON]) || [];
+        for (const t of moves) {
+            if (taken) taken.push(`${q}→${t}`);
+            if (!closure.has(t)) {
+                closure.add(t);
+                stack.push(t);
+            }
+        }
+    }
+    return closure;
+}
+
+// ε-closure of the states `set` reaches on `sym` (`taken` as above, plus the moves)
+function moveSet(a, set, sym, taken) {
+    const moved = new Set();
+    for (const q of set) {
+        for (const t of (((a.transitions || {})[q] || {})[sym]) || []) {
+            moved.add(t);
+            if (taken) taken.push(`${q}→${t}`);
+        }
+    }
+    return epsilonClosure(a, moved, taken);
+}
+
+// Testing
+// Full run, one step per symbol: every branch of the NFA is tracked at once
+function simulate(a, inputStr, tokenizer = DEFAULT_TOKENIZER) {
+    const { symbols, error } = tokenize(inputStr, a.alphabet || [], tokenizer);
+    const steps = [{ consumed: 0, symbol: null, active: [], taken: [] }];
+    const done = (accepted, reason) => ({ symbols, steps, accepted, reason });
+    if (error) return done(false, error);
+
+    // Reject if any symbol not in alphabet
+    const alpha = new Set(a.alphabet || []);
+    for (const ch of symbols) {
+        if (!alpha.has(ch)) return done(false, `Symbol '${ch}' not in alphabet`);
+    }
+    if (!a.start) return done(false, "No start state");
+
+    // current set of states (NFA), closed under ε
+    const startTaken = [];
+    let current = epsilonClosure(a, [a.start], startTaken);
+    steps[0] = { consumed: 0, symbol: null, active: [...current], taken: startTaken };
+
+    for (const [i, ch] of symbols.entries()) {
+        const taken = [];
+        current = moveSet(a, current, ch, taken);
+        steps.push({ consumed: i + 1, symbol: ch, active: [...current], taken });
+        if (current.size === 0) return done(false, "Dead configuration");
+    }
+
+    const acceptSet = new Set(a.accept || []);
+    const ok = [...current].some((s) => acceptSet.has(s));
+    return done(ok, ok ? "Reached an accept state" : "No accept state reached");
+}
+
+function accepts(a, inputStr, tokenizer) {
+    const { accepted, reason } = simulate(a, inputStr, tokenizer);
+    return { accepted, reason };
+}
+
+/* Language equivalence of two automata (NFA or DFA, ε-moves under EPSILON)
+   - Breadth-first search over pairs (S, T) of ε-closed state sets, one set
+     per machine, i.e. the product of the two subset constructions built on
+     the fly; symbols missing from one alphabet lead that side to ∅
+   - The first pair where exactly one side accepts gives a SHORTEST
+     distinguishing string (BFS order, alphabet order within a length)
+*/
+// JSON, not a comma join: a state may be named "x,y" next to the states x and y
+const pairKey = (S, T) => JSON.stringify([[...S].sort(), [...T].sort()]);
+
+/* null when both machines accept the same language, otherwise
+   { symbols, acceptedBy: "A" | "B" } for a shortest string they disagree on */
+function findCounterexample(a, b) {
+    const alphabet = [...new Set([...(a.alphabet || []), ...(b.alphabet || [])])];
+    const acceptA = new Set(a.accept || []);
+    const acceptB = new Set(b.accept || []);
+    const accepting = (set, acc) => [...set].some((s) => acc.has(s));
+
+    const start = [
+        a.start ? epsilonClosure(a, [a.start]) : new Set(),
+        b.start ? epsilonClosure(b, [b.start]) : new Set()
+    ];
+    const seen = new Set([pairKey(...start)]);
+    const queue = [{ sets: start, symbols: [] }];
+
+    while (queue.length) {
+        const { sets: [S, T], symbols } = queue.shift();
+        const inA = accepting(S, acceptA);
+        const inB = accepting(T, acceptB);
+        if (inA !== inB) return { symbols, acceptedBy: inA ? "A" : "B" };
+
+        for (const sym of alphabet) {
+            const next = [moveSet(a, S, sym), moveSet(b, T, sym)];
+            const key = pairKey(...next);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            queue.push({ sets: next, symbols: [...symbols, sym] });
+        }
+    }
+    return null;
+}
+
+// Active set after every prefix, and the edges ("from→to") taken by each step
+// (replays a counterexample on one machine for highlighting)
+function runPath(a, symbols) {
+    const startTaken = [];
+    let current = a.start ? epsilonClosure(a, [a.start], startTaken) : new Set();
+    const steps = [{ active: [...current], taken: startTaken }];
+    for (const sym of symbols) {
+        const taken = [];
+        current = moveSet(a, current, sym, taken);
+        steps.push({ active: [...current], taken });
+    }
+    return steps;
+}
+
+/* Moore and Mealy machines: a deterministic automaton without ε-moves whose
+   JSON carries one of
+   - "stateOutputs": { state: output }                    Moore: emitted on entering
+                                                          the state, the start state first
+   - "transitionOutputs": { state: { symbol: output } }   Mealy: emitted by the move
+   A state or move without an entry emits nothing. */
+function machineKind(a) {
+    if (a.stateOutputs) return "moore";
+    if (a.transitionOutputs) return "mealy";
+    return null;
+}
+
+// Labels as outputs are usually drawn: "q / out" on states, "a / out" on moves
+function stateLabel(a, s, sep = " / ") {
+    const out = a.stateOutputs?.[s];
+    return out === undefined ? s : `${s}${sep}${out}`;
+}
+
+function moveLabel(a, from, sym) {
+    const out = a.transitionOutputs?.[from]?.[sym];
+    return out === undefined ? sym : `${sym} / ${out}`;
+}
+
+// simulate() plus what every step emits: steps[i].output (null: nothing),
+// trace.outputs (the emitted sequence) and trace.finished (whole input read)
+function transduce(a, inputStr, tokenizer) {
+    const trace = simulate(a, inputStr, tokenizer);
+    const kind = machineKind(a);
+    const outputs = [];
+    trace.steps.forEach((step, i) => {
+        let out;
+        if (kind === "moore" && step.active.length) out = a.stateOutputs[step.active[0]];
+        if (kind === "mealy" && i > 0) out = a.transitionOutputs[trace.steps[i - 1].active[0]]?.[step.symbol];
+        step.output = out === undefined ? null : out;
+        if (out !== undefined) outputs.push(out);
+    });
+    const last = trace.steps[trace.steps.length - 1];
+    const finished = last.active.length > 0 && last.consumed === trace.symbols.length;
+    return { ...trace, kind, outputs, finished };
+}
+
+// Outputs of states or moves that no longer exist (after an edit or an import)
+function dropDanglingOutputs(a) {
+    const stateSet = new Set(a.states || []);
+    if (a.stateOutputs && typeof a.stateOutputs === "object") {
+        for (const s of Object.keys(a.stateOutputs)) {
+            if (!stateSet.has(s)) delete a.stateOutputs[s];
+        }
+    }
+    if (a.transitionOutputs && typeof a.transitionOutputs === "object") {
+        for (const [from, bySym] of Object.entries(a.transitionOutputs)) {
+            if (!bySym || typeof bySym !== "object") continue;
+            const moves = stateSet.has(from) ? ((a.transitions || {})[from] || {}) : {};
+            for (const sym of Object.keys(bySym)) {
+                if (!Array.isArray(moves[sym]) || !moves[sym].length) delete bySym[sym];
+            }
+            if (!Object.keys(bySym).length) delete a.transitionOutputs[from];
+        }
+    }
+    return a;
+}
+
+// NFA → DFA
+const SUBSET_PROGRESS_EVERY = 256; // discovered DFA states between onProgress calls
+
+/* Subsets of NFA states as bitsets: bit i stands for nfa.states[i], so two
+   subsets are equal exactly when their words are, whatever the state names
+   contain. The DFA states are still named by their members ("q1,q2");
+   members with a comma are braced and a name that is taken already gets a
+   "#n" suffix, so names never collide either.
+   options: { log, maxStates, onProgress }
+     log        : array, receives one event per start/pop/move for the explain mode
+     maxStates  : stop with an error once more DFA states are discovered
+     onProgress : called with the number of DFA states found so far */
+function nfaToDfa(nfa, options = {}) {
+    const { log, maxStates = Infinity, onProgress } = options;
+    const alphabet = nfa.alphabet || [];
+    const record = (event) => log && log.push(event);
+
+    const names = nfa.states || [];
+    const index = new Map(names.map((s, i) => [s, i]));
+    const words = Math.max(1, Math.ceil(names.length / 32));
+    const bitsOf = (set) => {
+        const bits = new Uint32Array(words);
+        for (const s of set) {
+            if (!index.has(s)) throw new Error(`State '${s}' is used but not declared in states`);
+            const i = index.get(s);
+            bits[i >> 5] |= 1 << (i & 31);
+        }
+        return bits;
+    };
+    const membersOf = (bits) => {
+        const members = [];
+        for (let w = 0; w < words; w++) {
+            for (let word = bits[w]; word; word &= word - 1) members.push((w << 5) + 31 - Math.clz32(word & -word));
+        }
+        return members;
+    };
+    const keyOf = (bits) => String.fromCharCode(...new Uint16Array(bits.buffer));
+    const nameOf = (members) => members.map((i) => (names[i].includes(",") ? `{${names[i]}}` : names[i])).sort().join(",");
+
+    // per NFA state and symbol: the targets, and their ε-closure, as bitsets (filled on first use)
+    const moveBits = new Map();
+    const stepBits = new Map();
+    const lookup = (cache, sym, i, closed) => {
+        const k = `${i}\u0000${sym}`;
+        if (!cache.has(k)) {
+            const targets = (((nfa.transitions || {})[names[i]] || {})[sym]) || [];
+            cache.set(k, bitsOf(closed ? epsilonClosure(nfa, targets) : targets));
+        }
+        return cache.get(k);
+    };
+
+    const subsets = new Map(); // bitset key → { name, members }
+    const taken = new Set();
+    const discover = (bits) => {
+        if (subsets.size >= maxStates) {
+            throw new Error(`The DFA has more than ${maxStates} states; raise the maximum state count or simplify the NFA`);
+        }
+        const members = membersOf(bits);
+        let name = nameOf(members);
+        for (let n = 2; taken.has(name); n++) name = `${nameOf(members)}#${n}`;
+        taken.add(name);
+        const subset = { name, members };
+        subsets.set(keyOf(bits), subset);
+        if (onProgress && subsets.size % SUBSET_PROGRESS_EVERY === 0) onProgress(subsets.size);
+        return subset;
+    };
+
+    const start = discover(bitsOf(epsilonClosure(nfa, [nfa.start])));
+    const stack = [start];
+    record({ type: "start", key: start.name });
+
+    const dfaTransitions = {};
+    while (stack.length) {
+        const S = stack.pop();
+        dfaTransitions[S.name] = {};
+        record({ type: "pop", key: S.name });
+
+        for (const sym of alphabet) {
+            const next = new Uint32Array(words);
+            const moved = log ? new Uint32Array(words) : null;
+            for (const i of S.members) {
+                const step = lookup(stepBits, sym, i, true);
+                for (let w = 0; w < words; w++) next[w] |= step[w];
+                if (moved) {
+                    const move = lookup(moveBits, sym, i, false);
+                    for (let w = 0; w < words; w++) moved[w] |= move[w];
+                }
+            }
+            const empty = next.every((w) => w === 0);
+            let T = empty ? null : subsets.get(keyOf(next));
+            const discovered = !empty && !T;
+            if (discovered) {
+                T = discover(next);
+                stack.push(T);
+            }
+            // In DFA, each transition has exactly 1 target state
+            dfaTransitions[S.name][sym] = T ? [T.name] : [];
+            record({ type: "move", from: S.name, sym, moved: moved && nameOf(membersOf(moved)), key: T ? T.name : "", discovered });
+        }
+    }
+    if (onProgress && subsets.size % SUBSET_PROGRESS_EVERY) onProgress(subsets.size);
+
+    // Accepting DFA states: any subset that intersects NFA accepts
+    const nfaAccept = new Set(nfa.accept || []);
+    const all = [...subsets.values()];
+    return {
+        states: all.map((S) => S.name),
+        alphabet: [...alphabet],
+        start: start.name,
+        accept: all.filter((S) => S.members.some((i) => nfaAccept.has(names[i]))).map((S) => S.name),
+        transitions: dfaTransitions
+    };
+}
+
+/* ε-moves may be written under "ε", under "" or under the symbol named by an
+   optional top-level "epsilon" key (e.g. "epsilon": "eps"). Rewrite them all
+   to EPSILON so the rest of the code only deals with one spelling. */
+function normalizeEpsilon(obj) {
+    const aliases = new Set([""]);
+    if ("epsilon" in obj) {
+        if (typeof obj.epsilon !== "string") throw new Error("epsilon must be a string naming the ε symbol");
+        aliases.add(obj.epsilon);
+        delete obj.epsilon;
+    }
+    aliases.delete(EPSILON);
+    if (obj.alphabet.some((sym) => sym === EPSILON || aliases.has(sym)))
+        throw new Error("The ε symbol must not be part of the alphabet");
+
+    for (const from of Object.keys(obj.transitions || {})) {
+        const bySym = obj.transitions[from] || {};
+        for (const alias of aliases) {
+            if (!(alias in bySym)) continue;
+            bySym[EPSILON] = [...(bySym[EPSILON] || []), ...bySym[alias]];
+            delete bySym[alias];
+        }
+    }
+}
+
+/*  Build DFA from a finite language (Trie)
+    Words are split into alphabet symbols (Tokenize.js); a "separator" in the
+    language file wins over the tokenizer passed in */
+function buildTrieDFA(language, tokenizer = DEFAULT_TOKENIZER) {
+    const { alphabet, accept } = language;
+    const tokens = languageTokenizer(language, tokenizer);
+
+    assert(Array.isArray(alphabet) && alphabet.length > 0, "alphabet must be a non-empty array");
+    assert(Array.isArray(accept), "accept must be an array of strings");
+
+    const alpha = new Set(alphabet);
+
+    // Validate every string splits into symbols from the alphabet
+    const words = accept.map((w) => {
+        assert(typeof w === "string", "accept contains a non-string");
+        const { symbols, error } = tokenize(w, alphabet, tokens);
+        assert(!error, `string "${w}": ${error}`);
+        for (const ch of symbols) {
+            assert(alpha.has(ch), `string "${w}" contains symbol "${ch}" not in alphabet`);
+        }
+        return symbols;
+    });
+
+    // Node ids
+    let nextId = 0;
+    const newId = () => `q${nextId++}`;
+
+    // Trie nodes: { id, edges: Map(symbol -> childId), final: bool }
+    const nodes = new Map();
+    function ensureNode(id) {
+        if (!nodes.has(id)) nodes.set(id, { id, edges: new Map(), final: false });
+        return nodes.get(id);
+    }
+    const start = newId();
+    ensureNode(start);
+
+    // Insert words
+    for (const w of words) {
+        let v = start;
+        for (const ch of w) {
+            const node = ensureNode(v);
+            const next = node.edges.get(ch) || newId();
+            if (!node.edges.has(ch)) node.edges.set(ch, next);
+            v = next;
+            ensureNode(v);
+        }
+        nodes.get(v).final = true;
+    }
+
+    // Convert to DFA JSON
+    const dfa = {
+        alphabet: [...alpha],
+        states: [...nodes.keys()],
+        start,
+        accept: [...[...nodes.values()].filter(n => n.final).map(n => n.id)],
+        transitions: {}
+    };
+    for (const n of nodes.values()) {
+        dfa.transitions[n.id] = {};
+        for (const [sym, to] of n.edges.entries()) {
+            dfa.transitions[n.id][sym] = [to]; // deterministic
+        }
+    }
+    return dfa;
+}
+
+/* Imported automata must also be acyclic to be a DAFSA (the validator already
+   checks determinism): returns a state on a cycle, or null */
+function findCycleState(dfa) {
+    // DFS colouring with an explicit stack, as one long word makes a path as
+    // deep as it is long: grey = on the current path
+    const colour = new Map();
+    const targetsOf = (s) => Object.values((dfa.transitions || {})[s] || {}).map(([t]) => t).filter((t) => t !== undefined);
+    for (const root of dfa.states) {
+        if (colour.has(root)) continue;
+        colour.set(root, "grey");
+        const stack = [{ s: root, targets: targetsOf(root), next: 0 }];
+        while (stack.length) {
+            const top = stack[stack.length - 1];
+            if (top.next === top.targets.length) {
+                colour.set(top.s, "black");
+                stack.pop();
+                continue;
+            }
+            const t = top.targets[top.next++];
+            if (colour.get(t) === "grey") return t;
+            if (!colour.has(t)) {
+                colour.set(t, "grey");
+                stack.push({ s: t, targets: targetsOf(t), next: 0 });
+            }
+        }
+    }
+    return null;
+}
+
+/*  Minimize acyclic DFA into DAFSA (bottom-up merging)
+   For finite languages (acyclic DFA), two states are equivalent iff their
+   "right languages" are identical. We can canonicalize subtrees:
+   signature(state) = final? + sorted list of (symbol, class of child), where
+   equal signatures get the same class number.
+   Identical signatures are merged.
+*/
+function minimizeAcyclicDFA(dfa) {
+    // Build adjacency and compute signature by memoized DFS
+    const transitions = dfa.transitions || {};
+    const memo = new Map();       // stateId -> signature string
+    const rep = new Map();        // signature -> representative stateId
+
+    // Post-order with an explicit stack: long words must not overflow the call stack
+    const acceptSet = new Set(dfa.accept);
+    const classOf = new Map();    // signature -> class number
+    function sig(root) {
+        const stack = [root];
+        while (stack.length) {
+            const s = stack[stack.length - 1];
+            if (memo.has(s)) {
+                stack.pop();
+                continue;
+            }
+            const edges = transitions[s] || {};
+            // sort by symbol to make signature stable
+            const syms = Object.keys(edges).sort();
+            const pending = syms.map((a) => edges[a]?.[0]).filter((dest) => !memo.has(dest));
+            if (pending.length) {
+                stack.push(...pending);
+                continue;
+            }
+            // children are named by their class number, so signatures stay short
+            const parts = syms.map((a) => a + ">" + classOf.get(memo.get(edges[a]?.[0])));
+            const isFinal = acceptSet.has(s) ? "1" : "0";
+            const signature = isFinal + "|" + parts.join(",");
+            if (!classOf.has(signature)) classOf.set(signature, classOf.size);
+            memo.set(s, signature);
+            stack.pop();
+        }
+        return memo.get(root);
+    }
+
+    // Compute all signatures
+    dfa.states.forEach(sig);
+
+    // Map each old state to canonical representative
+    const mapToRep = new Map(); // old -> new (rep id)
+    for (const s of dfa.states) {
+        const signature = memo.get(s);
+        if (!rep.has(signature)) rep.set(signature, s);
+        mapToRep.set(s, rep.get(signature));
+    }
+
+    // Build minimized DFA
+    const newStatesSet = new Set([...rep.values()]);
+    const newStart = mapToRep.get(dfa.start);
+    const newAccept = [...newStatesSet].filter(s => acceptSet.has(s));
+
+    const newTransitions = {};
+    for (const s of newStatesSet) {
+        newTransitions[s] = {};
+        const edges = dfa.transitions[s] || {};
+        for (const a of Object.keys(edges)) {
+            const dstOld = edges[a][0];
+            newTransitions[s][a] = [mapToRep.get(dstOld)];
+        }
+    }
+
+    const minimal = {
+        alphabet: [...dfa.alphabet],
+        states: [...newStatesSet],
+        start: newStart,
+        accept: newAccept,
+        transitions: newTransitions
+    };
+    // words in each state's right language, for wordToIndex / indexToWord
+    minimal.counts = rightLanguageCounts(minimal);
+    return minimal;
+}
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        EPSILON,
+        epsilonClosure,
+        moveSet,
+        simulate,
+        accepts,
+        findCounterexample,
+        runPath,
+        machineKind,
+        stateLabel,
+        moveLabel,
+        transduce,
+        dropDanglingOutputs,
+        nfaToDfa,
+        normalizeEpsilon,
+        buildTrieDFA,
+        findCycleState,
+        minimizeAcyclicDFA
+    };
+}
@@ -0,0 +1,248 @@
+/* Automaton → regular expression (state elimination on a generalized NFA)
+   - The GNFA: a fresh start S with an ε-move to the start, an ε-move from
+     every accept state to a fresh final F, and one regex per pair of states
+     (the symbols of the moves between them, united). States that are not on
+     any path from the start to an accept state are dropped first
+   - Eliminating q: every path p → q → r becomes p → r labelled
+     R(p,q) R(q,q)* R(q,r), united with the old R(p,r); when only S and F are
+     left, R(S,F) is the answer
+   - Order: "fewest" (the state with the fewest paths through it first,
+     usually the shortest result), "states" (as listed), "reverse", or an
+     explicit list of state names (unlisted states follow, fewest first)
+   - Every regex is built through the constructors below, which simplify as
+     they go: ∅ and ε units, (r*)* = r*, r r* = r+, ε|r+ = r*, duplicates
+     and alternatives already covered by a star are dropped
+   - Output uses the syntax of RegexToNFA.js, so single-character alphabets
+     read back to the same language; multi-character symbols are separated
+     by spaces
+*/
+
+// Node: the helpers the pages load as separate <script>s
+if (typeof module === "object" && module.exports) Object.assign(globalThis, require("./AutomataCore.js"));
+
+const REGEX_ORDERS = ["fewest", "states", "reverse"];
+const REGEX_TEXT_LIMIT = 20000; // characters; state elimination can blow up exponentially
+const EMPTY_REGEX = "∅";
+
+/* Regex nodes: null (∅, no path), { type: "eps" }, { type: "sym", sym },
+   { type: "alt" | "cat", items }, { type: "star" | "plus" | "opt", inner };
+   each carries its printed `text`, which also decides equality */
+function createRegexBuilder(spaced) {
+    const ESCAPE = new Set(["|", "*", "+", "?", "(", ")", "[", "]", ".", "\\", EPSILON, EMPTY_REGEX]);
+    const PREC = { alt: 0, cat: 1, star: 2, plus: 2, opt: 2, sym: 3, eps: 3 };
+
+    const print = (node, prec) => (PREC[node.type] < prec ? `(${node.text})` : node.text);
+    const make = (node) => {
+        if (node.type === "eps") node.text = EPSILON;
+        else if (node.type === "sym") {
+            const single = [...node.sym].length === 1;
+            node.text = single && (ESCAPE.has(node.sym) || /\s/.test(node.sym)) ? `\\${node.sym}` : node.sym;
+        } else if (node.type === "alt") node.text = node.items.map((x) => print(x, 1)).join("|");
+        else if (node.type === "cat") node.text = node.items.map((x) => print(x, 2)).join(spaced ? " " : "");
+        else {
+            const mark = { star: "*", plus: "+", opt: "?" }[node.type];
+            const atom = node.inner.type === "sym" && (!spaced || [...node.inner.sym].length === 1);
+            node.text = (atom || PREC[node.inner.type] > 2 ? node.inner.text : `(${node.inner.text})`) + mark;
+        }
+        if (node.text.length > REGEX_TEXT_LIMIT) {
+            throw new Error(`The regular expression grows past ${REGEX_TEXT_LIMIT} characters; try another elimination order`);
+        }
+        return node;
+    };
+    const same = (x, y) => x.text === y.text;
+    const nullable = (x) => x.type === "eps" || x.type === "star" || x.type === "opt" ||
+        (x.type === "alt" && x.items.some(nullable)) || (x.type === "cat" && x.items.every(nullable));
+
+    const eps = () => make({ type: "eps" });
+    const sym = (s) => make({ type: "sym", sym: s });
+
+    function star(x) {
+        if (x === null || x.type === "eps") return eps();
+        if (x.type === "star") return x;
+        if (x.type === "plus" || x.type === "opt") return star(x.inner);
+        // (r*|s)* = (r|s)*, and ε inside adds nothing
+        if (x.type === "alt") {
+            const items = x.items.filter((y) => y.type !== "eps").map((y) => (["star", "plus", "opt"].includes(y.type) ? y.inner : y));
+            const inner = items.reduce((acc, y) => alt(acc, y), null) || eps();
+            return inner.type === "eps" ? inner : make({ type: "star", inner });
+        }
+        return make({ type: "star", inner: x });
+    }
+
+    function alt(x, y) {
+        if (x === null) return y;
+        if (y === null) return x;
+        let items = [];
+        let withEps = false;
+        for (const z of [x, y].flatMap((r) => (r.type === "alt" ? r.items : [r]))) {
+            if (z.type === "eps") withEps = true;
+            else if (z.type === "opt") {
+                withEps = true;
+                items.push(...(z.inner.type === "alt" ? z.inner.items : [z.inner]));
+            } else items.push(z);
+        }
+        items = items.filter((z, i) => items.findIndex((w) => same(w, z)) === i);
+        // r | r* = r*, r | r+ = r+, r+ | r* = r*
+        items = items.filter((z) => !items.some((w) => (w.type === "star" || w.type === "plus") && same(w.inner, z)));
+        items = items.filter((z) => z.type !== "plus" || !items.some((w) => w.type === "star" && same(w.inner, z.inner)));
+        if (withEps && !items.some(nullable)) {
+            const plus = items.findIndex((z) => z.type === "plus");
+            if (plus >= 0) items[plus] = star(items[plus].inner);
+        }
+        if (!items.length) return eps();
+        const body = items.length === 1 ? items[0] : make({ type: "alt", items });
+        return withEps && !nullable(body) ? make({ type: "opt", inner: body }) : body;
+    }
+
+    function cat(x, y) {
+        if (x === null || y === null) return null;
+        const items = [];
+        for (const z of [x, y].flatMap((r) => (r.type === "cat" ? r.items : [r]))) {
+            if (z.type === "eps") continue;
+            // r s (r s)* = (r s)+
+            if (z.type === "star" && z.inner.type === "cat") {
+                const n = z.inner.items.length;
+                const tail = items.slice(-n);
+                if (tail.length === n && tail.every((w, i) => same(w, z.inner.items[i]))) {
+                    items.splice(-n, n, make({ type: "plus", inner: z.inner }));
+                    continue;
+                }
+            }
+            const prev = items[items.length - 1];
+            if (prev) {
+                const base = (r) => (["star", "plus"].includes(r.type) ? r.inner : r);
+                // r r* = r* r = r+, r* r* = r*, r+ r* = r* r+ = r+
+                if (same(base(prev), base(z)) && (prev.type === "star" || z.type === "star")) {
+                    const both = prev.type === "star" && z.type === "star";
+                    items[items.length - 1] = both ? prev : make({ type: "plus", inner: base(z) });
+                    continue;
+                }
+            }
+            items.push(z);
+        }
+        if (!items.length) return eps();
+        return items.length === 1 ? items[0] : make({ type: "cat", items });
+    }
+
+    return { eps, sym, star, alt, cat };
+}
+
+// A state name not yet used by `a`
+function freshState(a, base) {
+    let name = base;
+    while (a.states.includes(name)) name += "′";
+    return name;
+}
+
+/* options: { order: "fewest" | "states" | "reverse" | [state names], trace }
+   → { regex, start, final, order, dropped, steps }
+   start / final: the GNFA's fresh states; order: the states in the order
+   eliminated; dropped: states on no accepting path; steps (with trace):
+   the GNFA before each elimination and at the end, as [from, to, regex] */
+function deriveRegex(a, options = {}) {
+    const { order = "fewest", trace = false } = options;
+    const spaced = a.alphabet.some((s) => [...s].length !== 1);
+    const R = createRegexBuilder(spaced);
+
+    // states on some path from the start to an accept state
+    const forward = reachAlong(a, [a.start], false);
+    const backward = reachAlong(a, a.accept || [], true);
+    const useful = a.states.filter((s) => forward.has(s) && backward.has(s));
+    const dropped = a.states.filter((s) => !useful.includes(s));
+
+    const S = freshState(a, "S");
+    const F = freshState({ states: [...a.states, S] }, "F");
+    const edges = new Map(); // from → Map(to → regex)
+    const into = new Map();  // to → Set(from), the same edges read backwards
+    const add = (from, to, regex) => {
+        if (!edges.has(from)) edges.set(from, new Map());
+        if (!into.has(to)) into.set(to, new Set());
+        const row = edges.get(from);
+        row.set(to, R.alt(row.has(to) ? row.get(to) : null, regex));
+        into.get(to).add(from);
+    };
+    const keep = new Set(useful);
+    if (keep.has(a.start)) add(S, a.start, R.eps());
+    for (const from of useful) {
+        for (const [sym, targets] of Object.entries(a.transitions[from] || {})) {
+            for (const to of targets) {
+                if (keep.has(to)) add(from, to, sym === EPSILON ? R.eps() : R.sym(sym));
+            }
+        }
+    }
+    for (const s of (a.accept || []).filter((x) => keep.has(x))) add(s, F, R.eps());
+
+    const incoming = (q) => [...(into.get(q) || [])].filter((p) => p !== q);
+    const outgoing = (q) => [...(edges.get(q) || new Map()).keys()].filter((r) => r !== q);
+    const snapshot = () => [...edges.entries()].flatMap(([from, row]) => [...row.entries()].map(([to, regex]) => [from, to, regex.text]));
+
+    let queue;
+    if (Array.isArray(order)) {
+        const unknown = order.filter((s) => !a.states.includes(s));
+        if (unknown.length) throw new Error(`Unknown state${unknown.length === 1 ? "" : "s"} in the elimination order: ${unknown.join(", ")}`);
+        queue = [...new Set(order)].filter((s) => keep.has(s));
+    } else if (!REGEX_ORDERS.includes(order)) {
+        throw new Error(`Unknown elimination order '${order}'`);
+    } else {
+        queue = order === "fewest" ? [] : order === "states" ? [...useful] : [...useful].reverse();
+    }
+
+    const steps = [];
+    const eliminated = [];
+    const remaining = new Set(useful);
+    while (remaining.size) {
+        let q = queue.find((s) => remaining.has(s));
+        if (q === undefined) {
+            // fewest paths through q first; ties in state order
+            const cost = (s) => incoming(s).length * outgoing(s).length;
+            q = [...remaining].reduce((best, s) => (cost(s) < cost(best) ? s : best));
+        }
+        if (trace) steps.push({ state: q, edges: snapshot() });
+
+        const row = edges.get(q) || new Map();
+        const loop = row.has(q) ? R.star(row.get(q)) : R.eps();
+        for (const p of incoming(q)) {
+            const enter = edges.get(p).get(q);
+            for (const r of outgoing(q)) add(p, r, R.cat(R.cat(enter, loop), row.get(r)));
+            edges.get(p).delete(q);
+        }
+        for (const r of outgoing(q)) into.get(r).delete(q);
+        edges.delete(q);
+        into.delete(q);
+        remaining.delete(q);
+        eliminated.push(q);
+    }
+    if (trace) steps.push({ state: null, edges: snapshot() });
+
+    const result = edges.has(S) && edges.get(S).has(F) ? edges.get(S).get(F) : null;
+    return { regex: result === null ? EMPTY_REGEX : result.text, start: S, final: F, order: eliminated, dropped, steps };
+}
+
+// States reachable from `from` along any moves (backwards: the states that reach it)
+function reachAlong(a, from, backwards) {
+    const next = new Map(a.states.map((s) => [s, []]));
+    for (const [p, bySym] of Object.entries(a.transitions || {})) {
+        for (const targets of Object.values(bySym)) {
+            for (const t of targets) {
+                if (backwards) next.get(t)?.push(p);
+                else next.get(p)?.push(t);
+            }
+        }
+    }
+    const seen = new Set(from.filter((s) => next.has(s)));
+    const stack = [...seen];
+    while (stack.length) {
+        for (const t of next.get(stack.pop())) {
+            if (!seen.has(t)) {
+                seen.add(t);
+                stack.push(t);
+            }
+        }
+    }
+    return seen;
+}
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = { REGEX_ORDERS, EMPTY_REGEX, createRegexBuilder, deriveRegex };
+}
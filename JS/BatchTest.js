@@ -0,0 +1,202 @@
+/* Batch string testing (shared by both tools)
+   - A test suite is CSV, one string per line:  input[,expected]
+       • input is taken verbatim (no trimming); quote it to include commas,
+         quotes or leading/trailing spaces: "a, b"  ""  (the empty string)
+       • expected: accept / reject (also yes/no, 1/0, +/-) or left empty
+       • blank lines are skipped, an "input,expected" header is allowed
+   - Every string goes through the page's accepts(); the report is a sortable
+     table (click a header) and can be downloaded as CSV
+*/
+
+// Node: the helpers the pages load as separate <script>s
+if (typeof module === "object" && module.exports) Object.assign(globalThis, require("./Import.js"));
+
+const EXPECT_WORDS = {
+    accept: true, yes: true, y: true, 1: true, true: true, "+": true,
+    reject: false, no: false, n: false, 0: false, false: false, "-": false
+};
+
+// One CSV record → fields ("" quoting as in RFC 4180)
+function parseCSVLine(line, lineNo, problems) {
+    const fields = [];
+    let i = 0;
+    while (true) {
+        let field = "";
+        if (line[i] === "\"") {
+            i++;
+            while (true) {
+                if (i >= line.length) {
+                    problems.add(lineNo, "unterminated quote");
+                    return fields.concat(field);
+                }
+                if (line[i] === "\"") {
+                    if (line[i + 1] === "\"") {
+                        field += "\"";
+                        i += 2;
+                        continue;
+                    }
+                    i++;
+                    break;
+                }
+                field += line[i++];
+            }
+            if (i < line.length && line[i] !== ",") problems.add(lineNo, "text after a closing quote");
+            while (i < line.length && line[i] !== ",") i++;
+        } else {
+            while (i < line.length && line[i] !== ",") field += line[i++];
+        }
+        fields.push(field);
+        if (i >= line.length) return fields;
+        i++; // skip the comma
+    }
+}
+
+// → [{ line, input, expected: true | false | null }]
+function parseTestSuite(text) {
+    const problems = createProblemList();
+    const cases = [];
+    text.split(/\r?\n/).forEach((line, idx) => {
+        const lineNo = idx + 1;
+        if (line.trim() === "") return;
+        const [input, expectedText = "", ...extra] = parseCSVLine(line, lineNo, problems);
+        if (extra.length) problems.add(lineNo, "too many fields (quote inputs that contain commas)");
+        if (!cases.length && input.trim().toLowerCase() === "input" && expectedText.trim().toLowerCase() === "expected") return;
+
+        const word = expectedText.trim().toLowerCase();
+        if (word !== "" && !(word in EXPECT_WORDS)) {
+            problems.add(lineNo, `expected must be accept or reject, got '${expectedText.trim()}'`);
+            return;
+        }
+        cases.push({ line: lineNo, input, expected: word === "" ? null : EXPECT_WORDS[word] });
+    });
+    problems.throwIfAny();
+    return cases;
+}
+
+// runOne(input) → { accepted, reason }
+function runTestSuite(cases, runOne) {
+    return cases.map((c) => {
+        const { accepted, reason } = runOne(c.input);
+        const match = c.expected === null ? null : c.expected === accepted;
+        return { ...c, accepted, reason, match };
+    });
+}
+
+const verdict = (accepted) => (accepted ? "accept" : "reject");
+
+function csvField(value) {
+    const text = String(value);
+    return text === "" || /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function batchReportToCSV(results) {
+    const lines = ["input,expected,result,reason,match"];
+    for (const r of results) {
+        lines.push([
+            csvField(r.input),
+            r.expected === null ? "" : verdict(r.expected),
+            verdict(r.accepted),
+            csvField(r.reason),
+            r.match === null ? "" : r.match ? "match" : "MISMATCH"
+        ].join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+/* Side panel: paste or upload a suite, run it, sort and export the report.
+   baseName names the downloaded CSV. */
+function openBatchPanel(runOne, baseName) {
+    const root = make("div", { className: "batch" });
+    const area = make("textarea", {
+        rows: 8,
+        spellcheck: false,
+        placeholder: "one string per line, optionally with an expected result:\nabb,accept\nab,reject\n\"\",reject"
+    });
+    const file = make("input", { type: "file", accept: ".csv,.txt" });
+    const runBtn = make("button", {}, "Run Tests");
+    const csvBtn = make("button", { className: "ghost", disabled: true }, "Export CSV");
+    const summary = make("div", { className: "sim-status" });
+    const tableHost = make("div");
+    const actions = make("div", { className: "sim-controls" });
+    actions.append(runBtn, csvBtn);
+    root.append(area, file, actions, summary, tableHost);
+
+    let results = [];
+    let sortKey = "line";
+    let sortDir = 1;
+
+    // [header, sort key, cell text]
+    const columns = [
+        ["#", "line", (r) => String(r.line)],
+        ["Input", "input", (r) => (r.input === "" ? "ε" : JSON.stringify(r.input))],
+        ["Expected", "expected", (r) => (r.expected === null ? "—" : verdict(r.expected))],
+        ["Result", "accepted", (r) => verdict(r.accepted)],
+        ["Reason", "reason", (r) => r.reason],
+        ["Match", "match", (r) => (r.match === null ? "—" : r.match ? "✔" : "✘")]
+    ];
+
+    function renderTable() {
+        const rank = (v) => (v === null ? -1 : typeof v === "boolean" ? Number(v) : v);
+        const sorted = [...results].sort((x, y) => {
+            const a = rank(x[sortKey]);
+            const b = rank(y[sortKey]);
+            return (a < b ? -1 : a > b ? 1 : x.line - y.line) * sortDir;
+        });
+        const table = makeTable(
+            columns.map(([head, key]) => head + (key === sortKey ? (sortDir > 0 ? " ▲" : " ▼") : "")),
+            sorted.map((r) => columns.map(([, , cell]) => cell(r)))
+        );
+        [...table.querySelectorAll("th")].forEach((th, i) => {
+            th.classList.add("sortable");
+            th.addEventListener("click", () => {
+                const key = columns[i][1];
+                sortDir = key === sortKey ? -sortDir : 1;
+                sortKey = key;
+                renderTable();
+            });
+        });
+        [...table.querySelectorAll("tr")].slice(1).forEach((tr, i) => {
+            if (sorted[i].match === false) tr.classList.add("mismatch");
+        });
+        tableHost.replaceChildren(table);
+    }
+
+    file.addEventListener("change", async () => {
+        if (file.files && file.files[0]) area.value = await file.files[0].text();
+    });
+
+    runBtn.addEventListener("click", () => {
+        let cases;
+        try {
+            cases = parseTestSuite(area.value);
+        } catch (err) {
+            summary.textContent = err.message;
+            summary.style.color = "#b63b3b";
+            return;
+        }
+        results = runTestSuite(cases, runOne);
+        const graded = results.filter((r) => r.match !== null);
+        const failed = graded.filter((r) => !r.match).length;
+        summary.textContent = `${results.length} strings, ${results.filter((r) => r.accepted).length} accepted` +
+            (graded.length ? ` — ${graded.length - failed}/${graded.length} as expected` : "");
+        summary.style.color = failed ? "#b63b3b" : graded.length ? "#2e7d32" : "";
+        csvBtn.disabled = !results.length;
+        renderTable();
+    });
+
+    csvBtn.addEventListener("click", () => {
+        downloadText(`${baseName}-tests.csv`, batchReportToCSV(results), "text/csv");
+    });
+
+    showPanel("Batch Test", root);
+}
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        parseTestSuite,
+        runTestSuite,
+        verdict,
+        batchReportToCSV
+    };
+}
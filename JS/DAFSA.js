@@ -1,164 +1,66 @@
 // DAFSA Builder & Minimizer (Plain JS + vis-network)
+// The trie, minimization and membership test are in AutomataCore.js
 
 
 let currentDFA = null;        // DAFSA currently rendered
 let originalDFA = null;       // un-minimized DFA built from the language
 let network = null;
+let graphData = null;         // { nodes, edges } DataSets currently shown
+let language = null;          // uploaded { alphabet, accept } (null for uploaded automata)
+let languageTokens = null;    // tokenizer the language's words were split with
+let graphIsSample = false;    // true when part of currentDFA is collapsed into groups
+let graphView = null;         // collapseSubtrees() of the DFA shown (GraphLayout.js)
+let openGroups = [];          // groups opened by clicking them
 
 const el = (id) => document.getElementById(id);
 const fileInput = el("languageFile");
 const loadBtn = el("loadLangBtn");
+const wordListBtn = el("wordListBtn");
 const minimizeBtn = el("minimizeBtn");
+const wordInput = el("wordInput");
+const addWordBtn = el("addWordBtn");
+const removeWordBtn = el("removeWordBtn");
 const testInput = el("testInput");
 const testBtn = el("testBtn");
 const testResult = el("testResult");
+const indexBtn = el("indexBtn");
+const indexInput = el("indexInput");
+const wordAtBtn = el("wordAtBtn");
+const simulateBtn = el("simulateBtn");
+const batchBtn = el("batchBtn");
+const languageBtn = el("languageBtn");
+const searchBtn = el("searchBtn");
+const editBtn = el("editBtn");
+const exportFormat = el("exportFormat");
+const exportBtn = el("exportBtn");
 const graphDiv = el("graph");
+const tokenMode = el("tokenMode");
+const tokenSep = el("tokenSep");
+const projectsBtn = el("projectsBtn");
+const shareBtn = el("shareBtn");
+const layoutMode = el("layoutMode");
+const freezeLayout = el("freezeLayout");
+
+const currentTokenizer = () => readTokenizer(tokenMode, tokenSep);
 
 /* Utilities  */
-function assert(cond, msg) { if (!cond) throw new Error(msg); }
 function setControlsEnabled(enabled) {
     minimizeBtn.disabled = !enabled;
+    wordInput.disabled = !enabled;
+    addWordBtn.disabled = !enabled;
+    removeWordBtn.disabled = !enabled;
     testBtn.disabled = !enabled;
     testInput.disabled = !enabled;
-}
-
-/*  Build DFA from a finite language (Trie) */
-function buildTrieDFA(language) {
-    const { alphabet, accept } = language;
-
-    assert(Array.isArray(alphabet) && alphabet.length > 0, "alphabet must be a non-empty array");
-    assert(Array.isArray(accept), "accept must be an array of strings");
-
-    const alpha = new Set(alphabet);
-
-    // Validate every string uses only symbols from the alphabet
-    for (const w of accept) {
-        assert(typeof w === "string", "accept contains a non-string");
-        for (const ch of w) {
-            assert(alpha.has(ch), `string "${w}" contains symbol "${ch}" not in alphabet`);
-        }
-    }
-
-    // Node ids
-    let nextId = 0;
-    const newId = () => `q${nextId++}`;
-
-    // Trie nodes: { id, edges: Map(symbol -> childId), final: bool }
-    const nodes = new Map();
-    function ensureNode(id) {
-        if (!nodes.has(id)) nodes.set(id, { id, edges: new Map(), final: false });
-        return nodes.get(id);
-    }
-    const start = newId();
-    ensureNode(start);
-
-    // Insert words
-    for (const w of accept) {
-        let v = start;
-        for (const ch of w) {
-            const node = ensureNode(v);
-            const next = node.edges.get(ch) || newId();
-            if (!node.edges.has(ch)) node.edges.set(ch, next);
-            v = next;
-            ensureNode(v);
-        }
-        nodes.get(v).final = true;
-    }
-
-    // Convert to DFA JSON
-    const dfa = {
-        alphabet: [...alpha],
-        states: [...nodes.keys()],
-        start,
-        accept: [...[...nodes.values()].filter(n => n.final).map(n => n.id)],
-        transitions: {}
-    };
-    for (const n of nodes.values()) {
-        dfa.transitions[n.id] = {};
-        for (const [sym, to] of n.edges.entries()) {
-            dfa.transitions[n.id][sym] = [to]; // deterministic
-        }
-    }
-    return dfa;
-}
-
-/*  Minimize acyclic DFA into DAFSA (bottom-up merging)
-   For finite languages (acyclic DFA), two states are equivalent iff their
-   "right languages" are identical. We can canonicalize subtrees:
-   signature(state) = final? + sorted list of (symbol, signature(child)).
-   Identical signatures are merged.
-*/
-function minimizeAcyclicDFA(dfa) {
-    // Build adjacency and compute signature by memoized DFS
-    const transitions = dfa.transitions || {};
-    const memo = new Map();       // stateId -> signature string
-    const rep = new Map();        // signature -> representative stateId
-
-    function sig(s) {
-        if (memo.has(s)) return memo.get(s);
-        const edges = transitions[s] || {};
-        const parts = [];
-        // sort by symbol to make signature stable
-        const syms = Object.keys(edges).sort();
-        for (const a of syms) {
-            const dest = edges[a]?.[0];
-            parts.push(a + ">" + sig(dest));
-        }
-        const isFinal = dfa.accept.includes(s) ? "1" : "0";
-        const signature = isFinal + "|" + parts.join(",");
-        memo.set(s, signature);
-        return signature;
-    }
-
-    // Compute all signatures
-    dfa.states.forEach(sig);
-
-    // Map each old state to canonical representative
-    const mapToRep = new Map(); // old -> new (rep id)
-    for (const s of dfa.states) {
-        const signature = memo.get(s);
-        if (!rep.has(signature)) rep.set(signature, s);
-        mapToRep.set(s, rep.get(signature));
-    }
-
-    // Build minimized DFA
-    const newStatesSet = new Set([...rep.values()]);
-    const newStart = mapToRep.get(dfa.start);
-    const newAccept = [...newStatesSet].filter(s => dfa.accept.includes(s));
-
-    const newTransitions = {};
-    for (const s of newStatesSet) {
-        newTransitions[s] = {};
-        const edges = dfa.transitions[s] || {};
-        for (const a of Object.keys(edges)) {
-            const dstOld = edges[a][0];
-            newTransitions[s][a] = [mapToRep.get(dstOld)];
-        }
-    }
-
-    return {
-        alphabet: [...dfa.alphabet],
-        states: [...newStatesSet],
-        start: newStart,
-        accept: newAccept,
-        transitions: newTransitions
-    };
-}
-
-/* Test membership  */
-function accepts(dfa, inputStr) {
-    const alpha = new Set(dfa.alphabet || []);
-    for (const ch of inputStr) {
-        if (!alpha.has(ch)) return { accepted: false, reason: `Symbol '${ch}' not in alphabet` };
-    }
-    let s = dfa.start;
-    for (const ch of inputStr) {
-        const next = (dfa.transitions[s] || {})[ch];
-        if (!next || next.length === 0) return { accepted: false, reason: "No transition" };
-        s = next[0];
-    }
-    const ok = dfa.accept.includes(s);
-    return { accepted: ok, reason: ok ? "Reached an accept state" : "Stopped in non-accepting state" };
+    indexBtn.disabled = !enabled;
+    indexInput.disabled = !enabled;
+    wordAtBtn.disabled = !enabled;
+    simulateBtn.disabled = !enabled;
+    batchBtn.disabled = !enabled;
+    languageBtn.disabled = !enabled;
+    searchBtn.disabled = !enabled;
+    exportFormat.disabled = !enabled;
+    exportBtn.disabled = !enabled;
+    shareBtn.disabled = !enabled;
 }
 
 /*  Graph rendering (vis-network)  */
@@ -209,6 +111,7 @@ function buildEdges(dfa) {
     for (const e of grouped.values()) {
         const forward = e.from < e.to;
         arr.push({
+            id: `${e.from}→${e.to}`,
             from: e.from,
             to: e.to,
             label: e.symbols.sort().join(", "),
@@ -228,6 +131,7 @@ function buildEdges(dfa) {
 
     if (dfa.start) {
         arr.push({
+            id: "__start",
             from: "__start",
             to: dfa.start,
             arrows: { to: { enabled: true, type: "arrow", scaleFactor: 0.75 } },
@@ -263,40 +167,146 @@ const networkOptions = {
     }
 };
 
+// What is drawn of `dfa`: large machines with their subtrees collapsed
+function viewNodes(dfa) {
+    graphView = collapseSubtrees(dfa, LAYOUT_NODE_LIMIT, openGroups);
+    graphIsSample = Object.keys(graphView.groups).length > 0;
+    return groupNodes(buildNodes(graphView.automaton).get(), graphView.groups);
+}
+
+// Diff the shown DataSets against `dfa` so the layout keeps its place
+function syncGraph(dfa) {
+    let reshaped = false; // states came or went: lay out again
+    for (const [ds, items] of [[graphData.nodes, viewNodes(dfa)], [graphData.edges, buildEdges(graphView.automaton).get()]]) {
+        const keep = new Set(items.map((it) => it.id));
+        const gone = ds.getIds().filter((id) => !keep.has(id));
+        if (ds === graphData.nodes) reshaped = gone.length > 0 || items.some((it) => !ds.get(it.id));
+        ds.remove(gone);
+        ds.update(items);
+    }
+    if (reshaped) layout.arrange(false);
+    sessionStore.changed();
+}
+
 function renderDFA(dfa) {
-    const nodes = buildNodes(dfa);
-    const edges = buildEdges(dfa);
+    hidePanel();
+    openGroups = [];
+    const nodes = new vis.DataSet(viewNodes(dfa));
+    const edges = buildEdges(graphView.automaton);
+    graphData = { nodes, edges };
     if (!network) {
         network = new vis.Network(graphDiv, { nodes, edges }, networkOptions);
+        network.on("dragEnd", () => sessionStore.changed());
+        layout.listen();
     } else {
         network.setData({ nodes, edges });
     }
+    layout.arrange(true);
+    sessionStore.changed();
+    if (graphIsSample) showPanel("Large automaton", make("p", { className: "muted" }, collapseNote(dfa.states.length, graphView.groups)));
 }
 
+const layout = createLayoutControls(layoutMode, freezeLayout, {
+    network: () => network,
+    nodes: () => graphData.nodes,
+    shown: () => graphView.automaton,
+    isGroup: (id) => !editor.isActive() && Object.hasOwn(graphView.groups, id),
+    expand: (id) => {
+        openGroups.push(id);
+        syncGraph(currentDFA);
+    },
+    changed: () => sessionStore.changed()
+});
+
 /* Event wiring  */
+// A { alphabet, accept } language, or an automaton drawn elsewhere; every
+// problem goes to the side panel, with safe fixes offered
+function loadLanguageObject(obj, isLanguage) {
+    const tokenizer = isLanguage ? languageTokenizer(obj, currentTokenizer()) : currentTokenizer();
+    const problems = isLanguage ? validateLanguage(obj, tokenizer) : validateAutomaton(obj, { deterministic: true });
+    if (!isLanguage && !problems.length) {
+        const onCycle = findCycleState(obj);
+        if (onCycle !== null) problems.push({ path: "$.transitions", message: `cycle through '${onCycle}': a DAFSA must be acyclic`, fixable: false });
+    }
+    if (problems.length) {
+        const title = isLanguage ? "Language not loaded" : "Automaton not loaded";
+        showProblems(title, problems, () => loadLanguageObject(isLanguage ? fixLanguage(obj) : fixAutomaton(obj), isLanguage));
+        setControlsEnabled(false);
+        return;
+    }
+
+    // Build trie DFA; test strings are then split the same way as the words
+    originalDFA = isLanguage ? buildTrieDFA(obj, tokenizer) : obj;
+    language = isLanguage ? obj : null;
+    languageTokens = tokenizer;
+    if (tokenizer.mode === "separator") {
+        tokenMode.value = "separator";
+        tokenSep.value = tokenizer.separator;
+        tokenSep.hidden = false;
+    }
+    currentDFA = originalDFA;
+    editor.reset();
+    renderDFA(currentDFA);
+    setControlsEnabled(true);
+    testResult.textContent = isLanguage ? "Language represented (DFA built) ✔" : "Automaton loaded ✔";
+    testResult.style.color = "#2e7d32";
+    setTimeout(() => (testResult.textContent = ""), 1400);
+}
+
 loadBtn?.addEventListener("click", async () => {
     if (!fileInput || !fileInput.files || !fileInput.files[0]) {
-        alert("Please choose a .txt/.json file containing { alphabet, accept }.");
+        alert("Please choose a .txt/.json file containing { alphabet, accept }, or an acyclic DFA (JSON, JFLAP .jff, DOT or a 'q0 a -> q1' transition list).");
         return;
     }
     try {
         const text = await fileInput.files[0].text();
-        const lang = JSON.parse(text);
-
-        // Basic validation
-        assert(lang && Array.isArray(lang.alphabet) && Array.isArray(lang.accept),
-            "Language must have 'alphabet' (array) and 'accept' (array)");
-        // Build trie DFA
-        originalDFA = buildTrieDFA(lang);
-        currentDFA = originalDFA;
+        const { automaton: obj, format } = importAutomaton(text);
+        loadLanguageObject(obj, format === "json" && !(obj && "states" in obj));
+    } catch (e) {
+        console.error(e);
+        showProblems("Language not loaded", problemsFromError(e));
+        setControlsEnabled(false);
+    }
+});
+
+// Dictionary-sized word lists: sorted incremental construction, no trie in between
+wordListBtn?.addEventListener("click", async () => {
+    if (!fileInput || !fileInput.files || !fileInput.files[0]) {
+        alert("Please choose a plain-text word list (one word per line).");
+        return;
+    }
+    try {
+        const text = await fileInput.files[0].text();
+        const tokenizer = currentTokenizer().mode === "separator" ? currentTokenizer() : { mode: "chars" };
+        const list = parseWordList(text, tokenizer);
+        if (!list.words.length) throw new Error("The word list is empty");
+        const { dfa, stats } = buildDAFSAIncremental(list.symbols, list.alphabet);
+
+        originalDFA = dfa;
+        currentDFA = dfa;
+        editor.reset();
+        language = { alphabet: list.alphabet, accept: list.words };
+        languageTokens = tokenizer;
         renderDFA(currentDFA);
         setControlsEnabled(true);
-        testResult.textContent = "Language represented (DFA built) ✔";
+
+        const root = make("div");
+        root.append(makeTable(["", ""], [
+            ["Words", `${stats.words}${stats.words < list.words.length ? ` (${list.words.length - stats.words} duplicates skipped)` : ""}`],
+            ["Alphabet", `${list.alphabet.length} symbols`],
+            ["States", String(stats.states)],
+            ["Transitions", String(stats.transitions)],
+            ["Accept states", String(dfa.accept.length)],
+            ["Build time", `${stats.ms.toFixed(1)} ms`]
+        ]));
+        if (graphIsSample) root.append(make("p", { className: "muted" }, collapseNote(dfa.states.length, graphView.groups)));
+        showPanel("Minimal DAFSA built incrementally", root);
+        testResult.textContent = `DAFSA built: ${stats.states} states ✔`;
         testResult.style.color = "#2e7d32";
         setTimeout(() => (testResult.textContent = ""), 1400);
     } catch (e) {
         console.error(e);
-        alert("Failed to load language: " + e.message);
+        showProblems("Word list not loaded", problemsFromError(e));
         setControlsEnabled(false);
     }
 });
@@ -304,24 +314,297 @@ loadBtn?.addEventListener("click", async () => {
 minimizeBtn?.addEventListener("click", () => {
     if (!currentDFA) return;
     currentDFA = minimizeAcyclicDFA(currentDFA);
+    editor.reset();
     renderDFA(currentDFA);
     testResult.textContent = "Minimized to DAFSA ✔";
     testResult.style.color = "#2e7d32";
     setTimeout(() => (testResult.textContent = ""), 1200);
 });
 
+/* Add / remove one word in place (DAFSAUpdate.js). The graph shows the diff
+   until the panel closes: new states green, states that absorbed a new one
+   blue, removed states as dashed ghosts where they used to be. The update
+   needs a minimal DAFSA; any other machine is minimized and redrawn first,
+   so the diff is against what is on screen. */
+const DIFF_ADDED_BG = "#bbf7d0";
+const DIFF_MERGED_BG = "#bfdbfe";
+
+function showWordDiff(title, diff, note) {
+    const list = (states) => (states.length ? states.join(", ") : "—");
+    const root = make("div");
+    root.append(
+        makeTable(["Change", "States"], [
+            ["Added", list(diff.added)],
+            ["Merged into", list(diff.merged)],
+            ["Removed", list(diff.removed)]
+        ]),
+        make("p", { className: "muted" }, `${currentDFA.states.length} states now.`)
+    );
+    if (note) root.append(make("p", { className: "muted" }, note));
+    showPanel(title, root, () => {
+        if (graphData && !graphIsSample) syncGraph(currentDFA);
+    });
+}
+
+function changeWord(op) {
+    if (!currentDFA) return;
+    const text = wordInput.value || "";
+    const tokens = languageTokens || currentTokenizer();
+    const { symbols, error } = tokenize(text, currentDFA.alphabet, tokens);
+    if (error) return alert(error);
+
+    let note = null;
+    if (!isMinimalDAFSA(currentDFA)) {
+        const before = currentDFA.states.length;
+        currentDFA = minimizeAcyclicDFA(currentDFA);
+        editor.reset();
+        renderDFA(currentDFA);
+        note = `The automaton was minimized first (${before} → ${currentDFA.states.length} states).`;
+    }
+
+    let result;
+    try {
+        result = op === "add" ? addWordToDAFSA(currentDFA, symbols) : removeWordFromDAFSA(currentDFA, symbols);
+    } catch (e) {
+        alert(e.message);
+        return;
+    }
+
+    hidePanel(); // restores the graph from the previous diff first
+    const ghosts = graphData && !graphIsSample && network ? network.getPositions(result.diff.removed) : {};
+    currentDFA = result.dfa;
+    editor.reset();
+    if (language) {
+        language.accept = op === "add"
+            ? [...language.accept, text]
+            : language.accept.filter((w) => JSON.stringify(tokenize(w, language.alphabet, languageTokens).symbols) !== JSON.stringify(symbols));
+        for (const sym of currentDFA.alphabet) if (!language.alphabet.includes(sym)) language.alphabet.push(sym);
+    }
+
+    if (!graphData || graphIsSample || currentDFA.states.length > LAYOUT_NODE_LIMIT) {
+        renderDFA(currentDFA);
+    } else {
+        syncGraph(currentDFA);
+        graphData.nodes.update([
+            ...result.diff.added.map((id) => ({ id, color: { background: DIFF_ADDED_BG, border: graphData.nodes.get(id).color.border } })),
+            ...result.diff.merged.map((id) => ({ id, color: { background: DIFF_MERGED_BG, border: graphData.nodes.get(id).color.border } }))
+        ]);
+        graphData.nodes.add(Object.entries(ghosts).map(([id, pos]) => ({
+            id,
+            label: id,
+            x: pos.x,
+            y: pos.y,
+            physics: false,
+            shape: "circle",
+            borderWidth: 2,
+            shapeProperties: { borderDashes: [4, 4] },
+            color: { background: "#f3f4f6", border: "#9ca3af" },
+            font: { color: "#9ca3af" }
+        })));
+    }
+    const shown = text === "" ? "ε" : text;
+    showWordDiff(op === "add" ? `Added "${shown}"` : `Removed "${shown}"`, result.diff, note);
+}
+
+addWordBtn?.addEventListener("click", () => changeWord("add"));
+removeWordBtn?.addEventListener("click", () => changeWord("remove"));
+
+// Separator box only matters in separator mode
+tokenMode?.addEventListener("change", () => {
+    tokenSep.hidden = tokenMode.value !== "separator";
+    sessionStore.changed();
+});
+
 testBtn?.addEventListener("click", () => {
     if (!currentDFA) return;
-    const s = (testInput.value || "").trim();
-    const { accepted, reason } = accepts(currentDFA, s);
+    const s = testInput.value || ""; // verbatim: whitespace can be a symbol
+    const { accepted, reason } = accepts(currentDFA, s, currentTokenizer());
     testResult.textContent = accepted ? `ACCEPT ✅ — ${reason}` : `REJECT ❌ — ${reason}`;
     testResult.style.color = accepted ? "#2e7d32" : "#b63b3b";
 });
 
+/* Minimal perfect hash (WordIndex.js): word ↔ position in the lexicographic
+   order of the language */
+function showIndexResult(ok, text) {
+    testResult.textContent = text;
+    testResult.style.color = ok ? "#2e7d32" : "#b63b3b";
+}
+
+indexBtn?.addEventListener("click", () => {
+    if (!currentDFA) return;
+    const s = testInput.value || "";
+    const { symbols, error } = tokenize(s, currentDFA.alphabet, languageTokens || currentTokenizer());
+    const index = error ? -1 : wordToIndex(currentDFA, symbols);
+    const shown = s === "" ? "ε" : s;
+    if (index < 0) showIndexResult(false, `"${shown}" is not in the language`);
+    else showIndexResult(true, `"${shown}" is word #${index} of ${countsOf(currentDFA)[currentDFA.start]}`);
+});
+
+wordAtBtn?.addEventListener("click", () => {
+    if (!currentDFA) return;
+    const index = Number(indexInput.value);
+    const total = countsOf(currentDFA)[currentDFA.start] || 0;
+    const symbols = indexInput.value.trim() === "" ? null : indexToWord(currentDFA, index);
+    if (!symbols) return showIndexResult(false, `No word #${indexInput.value.trim()} (indices run from 0 to ${total - 1})`);
+    const word = symbols.length ? formatWord(symbols, languageTokens || currentTokenizer()) : "ε";
+    showIndexResult(true, `Word #${index} of ${total}: "${word}"`);
+});
+
+// Graph editor: the DAFSA must stay deterministic and acyclic
+const editor = createEditor({
+    network: () => network,
+    get: () => currentDFA,
+    set: (dfa) => {
+        delete dfa.counts; // stale after an edit; recomputed on demand
+        currentDFA = dfa;
+        if (graphData) syncGraph(dfa);
+        else renderDFA(dfa);
+        setControlsEnabled(true);
+    }
+}, { deterministic: true, acyclic: true });
+
+editBtn?.addEventListener("click", () => {
+    if (graphIsSample && !editor.isActive()) {
+        alert("Part of this automaton is collapsed into groups, so it cannot be edited on the canvas.");
+        return;
+    }
+    hidePanel();
+    editor.toggle();
+});
+
+exportBtn?.addEventListener("click", () => {
+    if (!currentDFA) return;
+    try {
+        exportAutomaton(exportFormat.value, currentDFA, network, graphDiv, "dafsa");
+    } catch (e) {
+        alert("Export failed: " + e.message);
+    }
+});
+
+simulateBtn?.addEventListener("click", () => {
+    if (!currentDFA || !graphData) return;
+    const s = testInput.value || "";
+    openSimulation(simulate(currentDFA, s, currentTokenizer()), createHighlighter(graphData.nodes, graphData.edges), s);
+});
+
+batchBtn?.addEventListener("click", () => {
+    if (!currentDFA) return;
+    openBatchPanel((s) => accepts(currentDFA, s, currentTokenizer()), "dafsa");
+});
+
+/* Round trip: the words spelled by currentDFA against the uploaded accept
+   array, compared as symbol sequences */
+function roundTripReport(dfa) {
+    const key = (symbols) => JSON.stringify(symbols);
+    const spelled = new Set(enumerateWords(dfa, Infinity, Infinity, Infinity).words.map(key));
+    const uploaded = new Set(language.accept.map((w) => key(tokenize(w, language.alphabet, languageTokens).symbols)));
+    const show = (k) => {
+        const symbols = JSON.parse(k);
+        return symbols.length ? formatWord(symbols, languageTokens) : "ε";
+    };
+    const missing = [...uploaded].filter((k) => !spelled.has(k)).map(show);
+    const extra = [...spelled].filter((k) => !uploaded.has(k)).map(show);
+
+    const root = make("div");
+    const status = make("div", { className: "sim-status" });
+    if (!missing.length && !extra.length) {
+        status.textContent = `Round trip ✔ — the DAFSA spells exactly the ${uploaded.size} uploaded word${uploaded.size === 1 ? "" : "s"}`;
+        status.style.color = "#2e7d32";
+        root.append(status);
+        return root;
+    }
+    status.textContent = "Round trip ✘ — the DAFSA and the uploaded accept list differ";
+    status.style.color = "#b63b3b";
+    root.append(status, makeTable(["Missing from DAFSA", "Not uploaded"], Array.from(
+        { length: Math.max(missing.length, extra.length) },
+        (_, i) => [missing[i] || "", extra[i] || ""]
+    )));
+    return root;
+}
+
+languageBtn?.addEventListener("click", () => {
+    if (!currentDFA) return;
+    openLanguagePanel(currentDFA, languageTokens || currentTokenizer(), language ? roundTripReport(currentDFA) : null);
+});
+
+searchBtn?.addEventListener("click", () => {
+    if (!currentDFA) return;
+    hidePanel(); // the highlighter must remember the graph without an earlier diff
+    openSearchPanel(currentDFA, languageTokens || currentTokenizer(), graphData ? createHighlighter(graphData.nodes, graphData.edges) : null);
+});
+
+// Sessions: autosave, named projects and share links (Persist.js)
+const sessionStore = createSessionStore("dafsa", {
+    // an emptied canvas (Edit Graph with nothing loaded) is not worth keeping
+    capture: () => (currentDFA?.states.length ? {
+        currentDFA,
+        originalDFA,
+        language,
+        languageTokens,
+        tokenizer: currentTokenizer(),
+        positions: capturePositions(network)
+    } : null),
+    restore: (session) => {
+        // older autosaves may hold such a canvas, with start: null
+        if (Array.isArray(session.currentDFA?.states) && !session.currentDFA.states.length) return false;
+        for (const dfa of [session.currentDFA, session.originalDFA || session.currentDFA]) {
+            const problems = validateAutomaton(dfa, { deterministic: true });
+            const onCycle = problems.length ? null : findCycleState(dfa);
+            if (onCycle !== null) problems.push({ path: "$.transitions", message: `cycle through '${onCycle}': a DAFSA must be acyclic` });
+            if (problems.length) throw new Error(problems.map((p) => `${p.path}: ${p.message}`).join("\n"));
+            delete dfa.counts; // recomputed on demand, never trusted from outside
+        }
+        // the uploaded language only feeds the round-trip report, but must still read back
+        const problems = [];
+        for (const key of ["tokenizer", "languageTokens"]) {
+            if (session[key]) problems.push(...validateTokenizer(session[key], `$.${key}`));
+        }
+        if (!problems.length && session.language) {
+            const lang = validateLanguage(session.language, session.languageTokens || DEFAULT_TOKENIZER);
+            problems.push(...lang.map((p) => ({ ...p, path: p.path.replace(/^\$/, "$.language") })));
+        }
+        if (problems.length) throw new Error(problems.map((p) => `${p.path}: ${p.message}`).join("\n"));
+        currentDFA = session.currentDFA;
+        originalDFA = session.originalDFA || currentDFA;
+        editor.reset();
+        language = session.language || null;
+        languageTokens = session.languageTokens || null;
+        if (session.tokenizer) {
+            tokenMode.value = session.tokenizer.mode;
+            tokenSep.value = session.tokenizer.separator === " " ? "" : session.tokenizer.separator;
+            tokenSep.hidden = tokenMode.value !== "separator";
+        }
+        renderDFA(currentDFA);
+        applyPositions(graphData.nodes, session.positions);
+        layout.settle();
+        setControlsEnabled(true);
+    }
+});
+
+projectsBtn?.addEventListener("click", () => openProjectsPanel(sessionStore));
+shareBtn?.addEventListener("click", () => openSharePanel(sessionStore));
+
+sessionStore.restoreOnLoad().then((from) => {
+    if (!from) return;
+    testResult.textContent = from === "link" ? "Shared automaton opened ✔" : "Last session restored ✔";
+    testResult.style.color = "#2e7d32";
+}).catch((err) => {
+    console.error(err);
+    showProblems("Saved session not restored", problemsFromError(err));
+});
+
 // expose for debugging
 window._dafsa = {
     buildTrieDFA,
+    buildDAFSAIncremental,
     minimizeAcyclicDFA,
     renderDFA,
-    accepts: (s) => currentDFA && accepts(currentDFA, s)
+    wordToIndex: (word) => currentDFA && wordToIndex(currentDFA, tokenize(word, currentDFA.alphabet, languageTokens || currentTokenizer()).symbols),
+    indexToWord: (index) => {
+        const symbols = currentDFA && indexToWord(currentDFA, index);
+        return symbols ? formatWord(symbols, languageTokens || currentTokenizer()) : null;
+    },
+    accepts: (s) => currentDFA && accepts(currentDFA, s, currentTokenizer()),
+    complete: (prefix) => currentDFA && prefixCompletions(currentDFA, tokenize(prefix, currentDFA.alphabet, languageTokens || currentTokenizer()).symbols),
+    fuzzy: (word, k = 1) => currentDFA && fuzzySearch(currentDFA, tokenize(word, currentDFA.alphabet, languageTokens || currentTokenizer()).symbols, k)
 };
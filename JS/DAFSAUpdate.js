@@ -0,0 +1,170 @@
+/* Add or remove one word on a minimal DAFSA, keeping it minimal
+   (Carrasco & Forcada 2002, "Incremental construction and maintenance of
+   minimal finite-state automata", acyclic case)
+   1. Walk the word from the start. From the first confluence state (more than
+      one incoming edge) on, every state of the path is cloned, so changing
+      the path cannot change any other word.
+   2. Add: append new states for the rest of the word, make the last one final.
+      Remove: make the last state non-final and prune states that became dead.
+   3. Re-register the path bottom-up: a path state equivalent to a registered
+      state (same finality, same outgoing edges) is merged into it.
+   The result carries a diff: states added, states removed, and existing
+   states that absorbed a new one (merged).
+*/
+
+// Node: the helpers the pages load as separate <script>s
+if (typeof module === "object" && module.exports) Object.assign(globalThis, require("./WordIndex.js"));
+
+function dafsaSignature(dfa, s, acceptSet) {
+    const edges = dfa.transitions[s] || {};
+    const parts = Object.keys(edges).sort().map((sym) => `${sym}\u0001${edges[sym][0]}`);
+    return (acceptSet.has(s) ? "1" : "0") + "\u0000" + parts.join("\u0000");
+}
+
+// No two states with the same signature: what updateDAFSA() needs to start from
+function isMinimalDAFSA(dfa) {
+    const accept = new Set(dfa.accept);
+    const seen = new Set();
+    for (const s of dfa.states) {
+        const key = dafsaSignature(dfa, s, accept);
+        if (seen.has(key)) return false;
+        seen.add(key);
+    }
+    return true;
+}
+
+function updateDAFSA(input, symbols, op) {
+    const dfa = JSON.parse(JSON.stringify(input));
+    const before = new Set(dfa.states);
+    const accept = new Set(dfa.accept);
+
+    // the register must hold every state once: minimize first if it does not
+    const register = new Map();
+    for (const s of dfa.states) {
+        const key = dafsaSignature(dfa, s, accept);
+        if (register.has(key)) throw new Error("The automaton is not minimal; press Minimize first");
+        register.set(key, s);
+    }
+
+    const indegree = new Map(dfa.states.map((s) => [s, 0]));
+    for (const s of dfa.states) {
+        for (const [t] of Object.values(dfa.transitions[s] || {})) indegree.set(t, indegree.get(t) + 1);
+    }
+
+    let counter = dfa.states.reduce((max, s) => Math.max(max, /^q\d+$/.test(s) ? Number(s.slice(1)) + 1 : 0), 0);
+    const freshName = () => {
+        while (before.has(`q${counter}`)) counter++;
+        return `q${counter++}`;
+    };
+    const addState = (edges, final) => {
+        const name = freshName();
+        dfa.states.push(name);
+        dfa.transitions[name] = edges;
+        if (final) accept.add(name);
+        return name;
+    };
+    const created = new Map(); // new state -> the original it was cloned from (or null)
+
+    // 1. common prefix, cloning from the first confluence state on
+    const path = [dfa.start];
+    register.delete(dafsaSignature(dfa, dfa.start, accept));
+    let cloning = false;
+    for (const sym of symbols) {
+        const here = path[path.length - 1];
+        const next = ((dfa.transitions[here] || {})[sym] || [])[0];
+        if (next === undefined) break;
+        let step = next;
+        if (cloning || indegree.get(next) > 1) {
+            cloning = true;
+            step = addState({ ...dfa.transitions[next] }, accept.has(next));
+            for (const [t] of Object.values(dfa.transitions[step])) indegree.set(t, indegree.get(t) + 1);
+            indegree.set(next, indegree.get(next) - 1);
+            indegree.set(step, 1);
+            created.set(step, next);
+            dfa.transitions[here][sym] = [step];
+        } else {
+            register.delete(dafsaSignature(dfa, next, accept));
+        }
+        path.push(step);
+    }
+
+    // 2. the change itself
+    const present = path.length === symbols.length + 1 && accept.has(path[path.length - 1]);
+    if (op === "add") {
+        if (present) throw new Error("The word is already in the language");
+        for (let i = path.length - 1; i < symbols.length; i++) {
+            const name = addState({}, false);
+            indegree.set(name, 1);
+            created.set(name, null);
+            dfa.transitions[path[i]][symbols[i]] = [name];
+            if (!dfa.alphabet.includes(symbols[i])) dfa.alphabet.push(symbols[i]);
+            path.push(name);
+        }
+        accept.add(path[path.length - 1]);
+    } else {
+        if (!present) throw new Error("The word is not in the language");
+        accept.delete(path[path.length - 1]);
+        // prune states that no longer lead anywhere
+        while (path.length > 1) {
+            const last = path[path.length - 1];
+            if (accept.has(last) || Object.keys(dfa.transitions[last] || {}).length) break;
+            path.pop();
+            delete dfa.transitions[path[path.length - 1]][symbols[path.length - 1]];
+            indegree.set(last, indegree.get(last) - 1);
+        }
+    }
+
+    // 3. re-register bottom-up (the start state is always kept)
+    const merged = [];
+    for (let i = path.length - 1; i >= 1; i--) {
+        const s = path[i];
+        const key = dafsaSignature(dfa, s, accept);
+        const same = register.get(key);
+        if (same === undefined || same === s) {
+            register.set(key, s);
+            continue;
+        }
+        dfa.transitions[path[i - 1]][symbols[i - 1]] = [same];
+        indegree.set(same, indegree.get(same) + 1);
+        indegree.set(s, 0);
+        // a clone folding back into its own original is no news
+        if (created.get(s) !== same) merged.push([s, same]);
+    }
+    register.set(dafsaSignature(dfa, dfa.start, accept), dfa.start);
+
+    // drop everything the start state can no longer reach
+    const live = new Set([dfa.start]);
+    const stack = [dfa.start];
+    while (stack.length) {
+        for (const [t] of Object.values(dfa.transitions[stack.pop()] || {})) {
+            if (!live.has(t)) {
+                live.add(t);
+                stack.push(t);
+            }
+        }
+    }
+    dfa.states = dfa.states.filter((s) => live.has(s));
+    for (const s of Object.keys(dfa.transitions)) if (!live.has(s)) delete dfa.transitions[s];
+    dfa.accept = dfa.states.filter((s) => accept.has(s));
+    if ("counts" in dfa) dfa.counts = rightLanguageCounts(dfa); // still minimal, keep them current
+
+    const diff = {
+        added: dfa.states.filter((s) => !before.has(s)),
+        removed: [...before].filter((s) => !live.has(s)),
+        merged: merged.filter(([, into]) => live.has(into)).map(([, into]) => into)
+    };
+    return { dfa, diff };
+}
+
+const addWordToDAFSA = (dfa, symbols) => updateDAFSA(dfa, symbols, "add");
+const removeWordFromDAFSA = (dfa, symbols) => updateDAFSA(dfa, symbols, "remove");
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        isMinimalDAFSA,
+        updateDAFSA,
+        addWordToDAFSA,
+        removeWordFromDAFSA
+    };
+}
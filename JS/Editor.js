@@ -0,0 +1,288 @@
+/* Graphical automaton editor (vis-network manipulation API), shared by both tools
+   - Floating #editBar over the canvas: add state, drag a transition, edit a
+     label, delete, toggle accept, set start, rename, undo/redo, done
+   - Every edit produces a new automaton object handed to host.set(), so
+     convert/test/minimize keep working on what was drawn
+   - host: { network(), get(), set(a) }  — set() must keep node positions
+   - reset() drops the undo / redo history; pages call it whenever they
+     replace the automaton themselves (load, convert, minimize, restore…)
+   - opts: { deterministic, acyclic, epsilon } for pages that need a DFA
+     (DAFSA) or accept ε-moves under the given symbol (NFA→DFA)
+   - Moore / Mealy outputs follow renames and go with their state or move;
+     such machines stay deterministic and ε-free
+*/
+
+function emptyAutomaton() {
+    return { states: [], alphabet: [], start: null, accept: [], transitions: {} };
+}
+
+function createEditor(host, opts) {
+    const options = { deterministic: false, acyclic: false, epsilon: null, ...(opts || {}) };
+    const bar = document.getElementById("editBar");
+    const btn = (id) => document.getElementById(id);
+    const undoStack = [];
+    const redoStack = [];
+    let active = false;
+
+    const clone = (a) => JSON.parse(JSON.stringify(a));
+
+    // Apply `change` to a copy of the current automaton; it may throw to refuse
+    function commit(change) {
+        const before = host.get() || emptyAutomaton();
+        const next = clone(before);
+        try {
+            change(next);
+            dropDanglingOutputs(next);
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
+        undoStack.push(clone(before));
+        redoStack.length = 0;
+        host.set(next);
+        refreshButtons();
+    }
+
+    function refreshButtons() {
+        btn("edUndo").disabled = !undoStack.length;
+        btn("edRedo").disabled = !redoStack.length;
+    }
+
+    function reset() {
+        undoStack.length = 0;
+        redoStack.length = 0;
+        refreshButtons();
+    }
+
+    const selectedStates = () => host.network().getSelectedNodes().filter((id) => id !== "__start");
+    const selectedEdges = () => host.network().getSelectedEdges().filter((id) => id !== "__start");
+
+    // Edge ids follow buildEdges: "from→to"
+    function edgeEnds(a, id) {
+        for (const from of a.states) {
+            if (id.startsWith(`${from}→`) && a.states.includes(id.slice(from.length + 1))) {
+                return { from, to: id.slice(from.length + 1) };
+            }
+        }
+        return null;
+    }
+
+    function nextFreeName(a) {
+        let i = a.states.length;
+        while (a.states.includes(`q${i}`)) i++;
+        return `q${i}`;
+    }
+
+    function checkName(a, name) {
+        if (!name) throw new Error("State name must not be empty");
+        if (name === "__start") throw new Error("'__start' is reserved");
+        if (a.states.includes(name)) throw new Error(`State '${name}' already exists`);
+    }
+
+    function parseSymbols(text) {
+        const syms = [...new Set((text || "").split(",").map((t) => t.trim()).filter(Boolean))];
+        if (!syms.length) throw new Error("Give at least one symbol, e.g. a or a,b");
+        if (!options.epsilon && syms.includes("ε")) throw new Error("ε-moves are not allowed here");
+        return syms;
+    }
+
+    function reaches(a, from, target) {
+        const seen = new Set([from]);
+        const stack = [from];
+        while (stack.length) {
+            const q = stack.pop();
+            if (q === target) return true;
+            for (const targets of Object.values(a.transitions[q] || {})) {
+                for (const t of targets) {
+                    if (!seen.has(t)) {
+                        seen.add(t);
+                        stack.push(t);
+                    }
+                }
+            }
+        }
+        return false;
+    }
+
+    function addMoves(a, from, to, syms) {
+        if (options.acyclic && reaches(a, to, from)) throw new Error("This transition would create a cycle");
+        const transducer = machineKind(a) !== null;
+        if (transducer && syms.includes(options.epsilon)) throw new Error("A Moore or Mealy machine has no ε-moves");
+        a.transitions[from] = a.transitions[from] || {};
+        for (const sym of syms) {
+            const targets = a.transitions[from][sym] || [];
+            if ((options.deterministic || transducer) && targets.length && !targets.includes(to))
+                throw new Error(`'${from}' already has a transition on '${sym}'`);
+            if (!targets.includes(to)) targets.push(to);
+            a.transitions[from][sym] = targets;
+            if (sym !== options.epsilon && !a.alphabet.includes(sym)) a.alphabet.push(sym);
+        }
+    }
+
+    function removeMoves(a, from, to) {
+        const bySym = a.transitions[from] || {};
+        for (const sym of Object.keys(bySym)) {
+            bySym[sym] = bySym[sym].filter((t) => t !== to);
+            if (!bySym[sym].length) delete bySym[sym];
+        }
+    }
+
+    function symbolsBetween(a, from, to) {
+        return Object.keys(a.transitions[from] || {}).filter((sym) => a.transitions[from][sym].includes(to));
+    }
+
+    // vis-network callbacks: we cancel vis's own insert and commit instead
+    const manipulation = {
+        enabled: false,
+        addNode(data, callback) {
+            callback(null);
+            const a = host.get() || emptyAutomaton();
+            const name = (prompt("New state name:", nextFreeName(a)) || "").trim();
+            if (!name) return;
+            commit((next) => {
+                checkName(next, name);
+                next.states.push(name);
+                next.transitions[name] = {};
+                if (!next.start) next.start = name;
+            });
+            if ((host.get() || emptyAutomaton()).states.includes(name)) host.network().moveNode(name, data.x, data.y);
+        },
+        addEdge(data, callback) {
+            callback(null);
+            if (data.from === "__start" || data.to === "__start") return;
+            const hint = options.epsilon ? ` (comma-separated, ${options.epsilon} for an ε-move)` : " (comma-separated)";
+            const text = prompt(`Symbols for ${data.from} → ${data.to}${hint}:`, "");
+            if (text === null) return;
+            commit((next) => addMoves(next, data.from, data.to, parseSymbols(text)));
+        }
+    };
+
+    btn("edAddState")?.addEventListener("click", () => host.network().addNodeMode());
+    btn("edAddEdge")?.addEventListener("click", () => host.network().addEdgeMode());
+
+    btn("edLabel")?.addEventListener("click", () => {
+        const [id] = selectedEdges();
+        const a = host.get();
+        const ends = id && a && edgeEnds(a, id);
+        if (!ends) return alert("Select a transition first.");
+        const text = prompt(`Symbols for ${ends.from} → ${ends.to}:`, symbolsBetween(a, ends.from, ends.to).join(", "));
+        if (text === null) return;
+        commit((next) => {
+            removeMoves(next, ends.from, ends.to);
+            addMoves(next, ends.from, ends.to, parseSymbols(text));
+        });
+    });
+
+    btn("edDelete")?.addEventListener("click", () => {
+        const states = selectedStates();
+        const edges = selectedEdges();
+        if (!states.length && !edges.length) return alert("Select states or transitions first.");
+        commit((next) => {
+            for (const id of edges) {
+                const ends = edgeEnds(next, id);
+                if (ends) removeMoves(next, ends.from, ends.to);
+            }
+            const gone = new Set(states);
+            next.states = next.states.filter((s) => !gone.has(s));
+            next.accept = next.accept.filter((s) => !gone.has(s));
+            if (gone.has(next.start)) next.start = next.states[0] || null;
+            for (const s of gone) delete next.transitions[s];
+            for (const from of next.states) for (const s of gone) removeMoves(next, from, s);
+        });
+    });
+
+    btn("edAccept")?.addEventListener("click", () => {
+        const states = selectedStates();
+        if (!states.length) return alert("Select one or more states first.");
+        commit((next) => {
+            for (const s of states) {
+                next.accept = next.accept.includes(s) ? next.accept.filter((x) => x !== s) : [...next.accept, s];
+            }
+        });
+    });
+
+    btn("edStart")?.addEventListener("click", () => {
+        const states = selectedStates();
+        if (states.length !== 1) return alert("Select exactly one state.");
+        commit((next) => { next.start = states[0]; });
+    });
+
+    btn("edRename")?.addEventListener("click", () => {
+        const states = selectedStates();
+        if (states.length !== 1) return alert("Select exactly one state.");
+        const old = states[0];
+        const name = (prompt(`Rename '${old}' to:`, old) || "").trim();
+        if (!name || name === old) return;
+        commit((next) => {
+            checkName(next, name);
+            const ren = (s) => (s === old ? name : s);
+            next.states = next.states.map(ren);
+            next.accept = next.accept.map(ren);
+            next.start = ren(next.start);
+            const transitions = {};
+            for (const [from, bySym] of Object.entries(next.transitions)) {
+                transitions[ren(from)] = {};
+                for (const [sym, targets] of Object.entries(bySym)) transitions[ren(from)][sym] = targets.map(ren);
+            }
+            next.transitions = transitions;
+            for (const key of ["stateOutputs", "transitionOutputs"]) {
+                if (next[key] && old in next[key]) {
+                    next[key][name] = next[key][old];
+                    delete next[key][old];
+                }
+            }
+        });
+    });
+
+    btn("edUndo")?.addEventListener("click", () => {
+        if (!undoStack.length) return;
+        redoStack.push(clone(host.get() || emptyAutomaton()));
+        host.set(undoStack.pop());
+        refreshButtons();
+    });
+
+    btn("edRedo")?.addEventListener("click", () => {
+        if (!redoStack.length) return;
+        undoStack.push(clone(host.get() || emptyAutomaton()));
+        host.set(redoStack.pop());
+        refreshButtons();
+    });
+
+    btn("edDone")?.addEventListener("click", () => exit());
+
+    function enter() {
+        if (active) return;
+        if (!host.get()) host.set(emptyAutomaton());
+        active = true;
+        host.network().setOptions({
+            manipulation,
+            interaction: { selectable: true, multiselect: true },
+            nodes: { chosen: true },
+            edges: { chosen: true }
+        });
+        bar.hidden = false;
+        refreshButtons();
+    }
+
+    function exit() {
+        if (!active) return;
+        active = false;
+        const network = host.network();
+        network.disableEditMode();
+        network.unselectAll();
+        network.setOptions({
+            interaction: { selectable: false, multiselect: false },
+            nodes: { chosen: false },
+            edges: { chosen: false }
+        });
+        bar.hidden = true;
+    }
+
+    return {
+        enter,
+        exit,
+        toggle: () => (active ? exit() : enter()),
+        isActive: () => active,
+        reset
+    };
+}
@@ -0,0 +1,169 @@
+/* What does this machine accept? (shared by both tools)
+   Works on a DFA (missing moves = dead); the NFA page passes nfaToDfa(a).
+   - usefulStates    : reachable from the start AND able to reach an accept state
+   - languageKind    : empty / finite / infinite (a cycle through useful states)
+   - countByLength   : accepted words of each length, dynamic programming over
+                       the states (BigInt, the counts grow exponentially)
+   - enumerateWords  : accepted words in shortlex order (length, then symbol
+                       order), up to a length and a count bound
+   - openLanguagePanel shows all of it; `extra` (optional node) is appended
+*/
+
+const ENUM_FRONTIER_LIMIT = 20000; // prefixes kept per length while listing
+
+const nextState = (dfa, s, sym) => ((((dfa.transitions || {})[s] || {})[sym]) || [])[0];
+
+function usefulStates(dfa) {
+    const alphabet = dfa.alphabet || [];
+    const reachable = new Set(dfa.start ? [dfa.start] : []);
+    const stack = [...reachable];
+    const incoming = new Map(dfa.states.map((s) => [s, []]));
+    while (stack.length) {
+        const q = stack.pop();
+        for (const sym of alphabet) {
+            const t = nextState(dfa, q, sym);
+            if (t === undefined) continue;
+            if (incoming.has(t)) incoming.get(t).push(q);
+            if (!reachable.has(t)) {
+                reachable.add(t);
+                stack.push(t);
+            }
+        }
+    }
+    // backwards from the accept states, over reachable states only
+    const useful = new Set((dfa.accept || []).filter((s) => reachable.has(s)));
+    const back = [...useful];
+    while (back.length) {
+        for (const p of incoming.get(back.pop()) || []) {
+            if (!useful.has(p)) {
+                useful.add(p);
+                back.push(p);
+            }
+        }
+    }
+    return useful;
+}
+
+// → { kind: "empty" | "finite" | "infinite", longest (finite only) }
+function languageKind(dfa) {
+    const useful = usefulStates(dfa);
+    if (!useful.has(dfa.start)) return { kind: "empty" };
+
+    // longest path through useful states; a grey state on the path means a cycle.
+    // Explicit stack: DAFSAs of long words are deep.
+    const acceptSet = new Set(dfa.accept || []);
+    const children = (s) => (dfa.alphabet || []).map((sym) => nextState(dfa, s, sym)).filter((t) => t !== undefined && useful.has(t));
+    const colour = new Map([[dfa.start, "grey"]]);
+    const depth = new Map();
+    const stack = [{ s: dfa.start, next: children(dfa.start), i: 0 }];
+    while (stack.length) {
+        const top = stack[stack.length - 1];
+        if (top.i < top.next.length) {
+            const t = top.next[top.i++];
+            if (colour.get(t) === "grey") return { kind: "infinite" };
+            if (!colour.has(t)) {
+                colour.set(t, "grey");
+                stack.push({ s: t, next: children(t), i: 0 });
+            }
+            continue;
+        }
+        let best = acceptSet.has(top.s) ? 0 : -Infinity;
+        for (const t of top.next) best = Math.max(best, depth.get(t) + 1);
+        depth.set(top.s, best);
+        colour.set(top.s, "black");
+        stack.pop();
+    }
+    return { kind: "finite", longest: depth.get(dfa.start) };
+}
+
+// counts[n] = number of accepted words of length n, n = 0..maxLength
+function countByLength(dfa, maxLength) {
+    const acceptSet = new Set(dfa.accept || []);
+    let ways = new Map(dfa.start ? [[dfa.start, 1n]] : []);
+    const counts = [];
+    for (let n = 0; n <= maxLength; n++) {
+        let total = 0n;
+        for (const [s, w] of ways) if (acceptSet.has(s)) total += w;
+        counts.push(total);
+
+        const next = new Map();
+        for (const [s, w] of ways) {
+            for (const sym of dfa.alphabet || []) {
+                const t = nextState(dfa, s, sym);
+                if (t !== undefined) next.set(t, (next.get(t) || 0n) + w);
+            }
+        }
+        ways = next;
+    }
+    return counts;
+}
+
+/* → { words: [symbol arrays], truncated } in shortlex order. Infinity is fine
+   for any bound when the language is finite. */
+function enumerateWords(dfa, maxLength, maxCount, frontierLimit = ENUM_FRONTIER_LIMIT) {
+    const useful = usefulStates(dfa);
+    const acceptSet = new Set(dfa.accept || []);
+    const symbols = [...(dfa.alphabet || [])].sort();
+    const words = [];
+    if (!useful.has(dfa.start)) return { words, truncated: false };
+
+    // every prefix in the frontier can still be completed to an accepted word
+    let frontier = [{ state: dfa.start, word: [] }];
+    for (let n = 0; frontier.length; n++) {
+        for (const { state, word } of frontier) {
+            if (!acceptSet.has(state)) continue;
+            if (words.length >= maxCount) return { words, truncated: true };
+            words.push(word);
+        }
+        const next = [];
+        for (const { state, word } of frontier) {
+            for (const sym of symbols) {
+                const t = nextState(dfa, state, sym);
+                if (t !== undefined && useful.has(t)) next.push({ state: t, word: [...word, sym] });
+            }
+        }
+        // longer words exist but are out of bounds
+        if (next.length && (n === maxLength || next.length > frontierLimit)) return { words, truncated: true };
+        frontier = next;
+    }
+    return { words, truncated: false };
+}
+
+function openLanguagePanel(dfa, tokenizer, extra) {
+    const root = make("div", { className: "language" });
+    const info = languageKind(dfa);
+    const summary = make("div", { className: "sim-status" });
+    let total = null;
+    if (info.kind === "empty") summary.textContent = "The language is EMPTY: no string is accepted.";
+    else if (info.kind === "infinite") summary.textContent = "The language is INFINITE (a cycle can be repeated on the way to an accept state).";
+    else {
+        total = countByLength(dfa, info.longest).reduce((x, y) => x + y, 0n);
+        summary.textContent = `The language is FINITE: ${total} word${total === 1n ? "" : "s"}, the longest has ${info.longest} symbol${info.longest === 1 ? "" : "s"}.`;
+    }
+
+    const lengthInput = make("input", { type: "number", min: 0, value: info.kind === "finite" ? info.longest : 6, title: "Maximum length" });
+    const countInput = make("input", { type: "number", min: 1, value: total ? Math.min(Number(total), 1000) : 100, title: "Maximum number of words" });
+    const listBtn = make("button", {}, "List Words");
+    const controls = make("div", { className: "sim-controls" });
+    controls.append(make("span", { className: "muted" }, "length ≤"), lengthInput, make("span", { className: "muted" }, "count ≤"), countInput, listBtn);
+    const results = make("div");
+
+    function list() {
+        const maxLength = Math.max(0, Math.floor(Number(lengthInput.value) || 0));
+        const maxCount = Math.max(1, Math.floor(Number(countInput.value) || 1));
+        const counts = countByLength(dfa, maxLength);
+        const { words, truncated } = enumerateWords(dfa, maxLength, maxCount);
+        results.replaceChildren(
+            make("div", { className: "sim-status" }, "Accepted words per length"),
+            makeTable(["Length", "Words"], counts.map((c, n) => [String(n), String(c)])),
+            make("div", { className: "sim-status" }, `Shortlex listing: ${words.length} word${words.length === 1 ? "" : "s"}${truncated ? " (stopped at the bound)" : ""}`),
+            makeTable(["#", "Word"], words.map((w, i) => [String(i + 1), w.length ? formatWord(w, tokenizer) : "ε"]))
+        );
+    }
+    listBtn.addEventListener("click", list);
+
+    root.append(summary, controls, results);
+    if (extra) root.append(extra);
+    showPanel("Language", root);
+    list();
+}
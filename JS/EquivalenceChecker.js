@@ -0,0 +1,228 @@
+/* Equivalence Checker (Plain JS + vis-network)
+   - Load two automata A and B (NFA or DFA, any format Import.js reads, e.g.
+     a JSON export from either tool) and decide whether L(A) = L(B)
+   - When they differ, the shortest distinguishing string is reported with the
+     machine that accepts it, and its run is replayed on both graphs at once
+   - The search (findCounterexample / runPath) is in AutomataCore.js
+   - Visuals: accept = green border; non-accept = red border; Moore / Mealy
+     outputs are shown on the labels (stateLabel / moveLabel, AutomataCore.js)
+*/
+
+let machines = { A: null, B: null };
+const views = { A: { network: null, graphData: null }, B: { network: null, graphData: null } };
+
+const fileA = document.getElementById("fileA");
+const fileB = document.getElementById("fileB");
+const checkBtn = document.getElementById("checkBtn");
+const checkResult = document.getElementById("checkResult");
+const graphDivs = { A: document.getElementById("graphA"), B: document.getElementById("graphB") };
+
+// Graph rendering
+function buildNodes(a) {
+    const arr = a.states.map((s) => {
+        const isAccept = (a.accept || []).includes(s);
+        return {
+            id: s,
+            label: stateLabel(a, s, "\n"),
+            shape: "circle",
+            borderWidth: 2,
+            color: {
+                background: "#ffffff",
+                border: isAccept ? "#2e7d32" : "#b63b3b"
+            },
+            font: { face: "Inter, system-ui, sans-serif", size: 14 }
+        };
+    });
+
+    if (a.start) {
+        arr.push({
+            id: "__start",
+            label: "",
+            shape: "dot",
+            size: 5,
+            color: { background: "#aaaaaa", border: "#666" },
+            physics: true,
+            hidden: false
+        });
+    }
+
+    return new vis.DataSet(arr);
+}
+
+function buildEdges(a) {
+    const grouped = new Map(); // "from→to" => {from,to,symbols[], self}
+
+    Object.keys(a.transitions || {}).forEach((from) => {
+        const bySym = a.transitions[from] || {};
+        Object.keys(bySym).forEach((sym) => {
+            (bySym[sym] || []).forEach((to) => {
+                const k = `${from}→${to}`;
+                if (!grouped.has(k)) grouped.set(k, { from, to, symbols: [], self: from === to });
+                grouped.get(k).symbols.push(sym);
+            });
+        });
+    });
+
+    const arr = [];
+    for (const e of grouped.values()) {
+        let smooth, length;
+        if (e.self) {
+            smooth = { enabled: true, type: "curvedCW", roundness: 0.72 };
+            length = 90;
+        } else {
+            const forward = e.from < e.to;
+            smooth = {
+                enabled: true,
+                type: forward ? "curvedCW" : "curvedCCW",
+                roundness: forward ? 0.62 : 0.12,
+                forceDirection: "horizontal"
+            };
+            length = forward ? 260 : 210;
+        }
+
+        arr.push({
+            id: `${e.from}→${e.to}`,
+            from: e.from,
+            to: e.to,
+            label: e.symbols.map((sym) => moveLabel(a, e.from, sym)).join(", "),
+            arrows: { to: { enabled: true, type: "arrow", scaleFactor: 0.7 } },
+            arrowStrikethrough: false,
+            smooth,
+            length,
+            color: { color: "#000000" },
+            font: { align: "top" },
+            width: 1.4
+        });
+    }
+
+    if (a.start) {
+        arr.push({
+            id: "__start",
+            from: "__start",
+            to: a.start,
+            arrows: { to: { enabled: true, type: "arrow", scaleFactor: 0.75 } },
+            color: { color: "#555" },
+            width: 1.2,
+            label: "start",
+            font: { vadjust: -6, ital: true },
+            smooth: { enabled: true, type: "curvedCCW", roundness: 0.45 },
+            length: 200
+        });
+    }
+
+    return new vis.DataSet(arr);
+}
+
+const networkOptions = {
+    interaction: { hover: false, keyboard: false, selectable: false },
+    nodes: { chosen: false },
+    edges: {
+        chosen: false,
+        arrows: { to: { enabled: true, type: "arrow", scaleFactor: 0.7 } },
+        arrowStrikethrough: false,
+        color: { color: "#000000" },
+        smooth: { enabled: true }
+    },
+    physics: {
+        enabled: true,
+        solver: "repulsion",
+        repulsion: {
+            nodeDistance: 300,
+            springLength: 230,
+            damping: 0.55
+        }
+    }
+};
+
+function renderMachine(side, a) {
+    const view = views[side];
+    const nodes = buildNodes(a);
+    const edges = buildEdges(a);
+    view.graphData = { nodes, edges };
+    if (!view.network) {
+        view.network = new vis.Network(graphDivs[side], { nodes, edges }, networkOptions);
+    } else {
+        view.network.setData({ nodes, edges });
+    }
+}
+
+// Read, import and validate one side; problems go to the side panel
+async function readMachine(side, input) {
+    if (!input || !input.files || !input.files[0]) throw new Error(`Please choose automaton ${side}.`);
+    const { automaton: obj } = importAutomaton(await input.files[0].text());
+    const problems = validateAutomaton(obj, { epsilon: true });
+    if (problems.length) {
+        showProblems(`Automaton ${side} not loaded`, problems);
+        return null;
+    }
+    normalizeEpsilon(obj);
+    return obj;
+}
+
+// Replay the counterexample on both graphs in lockstep
+function openCounterexample(result) {
+    const { symbols, acceptedBy } = result;
+    const runs = { A: runPath(machines.A, symbols), B: runPath(machines.B, symbols) };
+    const highlighters = {
+        A: createHighlighter(views.A.graphData.nodes, views.A.graphData.edges),
+        B: createHighlighter(views.B.graphData.nodes, views.B.graphData.edges)
+    };
+    const word = symbols.length ? formatWord(symbols) : "ε";
+    const other = acceptedBy === "A" ? "B" : "A";
+
+    const root = make("div", { className: "sim" });
+    const summary = make("div", { className: "sim-status" }, `"${word}" is accepted by ${acceptedBy} but rejected by ${other}`);
+    const status = make("div", { className: "muted" });
+    const table = makeTable(
+        ["#", "Read", "A states", "B states"],
+        runs.A.map((step, i) => [String(i), i === 0 ? "—" : symbols[i - 1], formatStates(step.active), formatStates(runs.B[i].active)])
+    );
+    const rows = [...table.querySelectorAll("tr")].slice(1);
+
+    const stepper = createStepper(runs.A.length, (index) => {
+        status.textContent = `Step ${index} of ${runs.A.length - 1}`;
+        rows.forEach((r, i) => r.classList.toggle("current", i === index));
+        for (const side of ["A", "B"]) highlighters[side].show(runs[side][index].active, runs[side][index].taken);
+    });
+
+    root.append(summary, stepper.controls, status, table);
+    showPanel("Counterexample", root, () => {
+        stepper.stop();
+        highlighters.A.clear();
+        highlighters.B.clear();
+    });
+    stepper.go(runs.A.length - 1);
+}
+
+// Check Listener
+checkBtn?.addEventListener("click", async () => {
+    hidePanel();
+    let a;
+    let b;
+    try {
+        a = await readMachine("A", fileA);
+        if (!a) return;
+        b = await readMachine("B", fileB);
+        if (!b) return;
+    } catch (err) {
+        console.error(err);
+        showProblems("Automata not loaded", problemsFromError(err));
+        return;
+    }
+
+    machines = { A: a, B: b };
+    renderMachine("A", a);
+    renderMachine("B", b);
+
+    const result = findCounterexample(a, b);
+    checkResult.classList.remove("muted");
+    if (!result) {
+        checkResult.textContent = "EQUIVALENT ✅ — A and B accept the same language";
+        checkResult.style.color = "#2e7d32";
+        return;
+    }
+    const word = result.symbols.length ? formatWord(result.symbols) : "ε";
+    checkResult.textContent = `NOT EQUIVALENT ❌ — shortest counterexample "${word}" (accepted by ${result.acceptedBy} only)`;
+    checkResult.style.color = "#b63b3b";
+    openCounterexample(result);
+});
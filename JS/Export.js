@@ -0,0 +1,222 @@
+/* Export the current machine (shared by both tools)
+   - JSON  : the project's { states, alphabet, start, accept, transitions } format
+             (plus stateOutputs / transitionOutputs of a Moore / Mealy machine)
+   - DOT   : Graphviz digraph (accept = doublecircle)
+   - TikZ  : snippet for the `automata` TikZ library, laid out like the canvas
+   - SVG   : vector drawing laid out like the canvas
+   - PNG   : snapshot of the vis-network canvas
+*/
+
+// "from→to" → symbols, same grouping as buildEdges
+function groupTransitions(a) {
+    const grouped = new Map();
+    for (const from of Object.keys(a.transitions || {})) {
+        for (const [sym, targets] of Object.entries(a.transitions[from] || {})) {
+            for (const to of targets || []) {
+                const k = `${from}→${to}`;
+                if (!grouped.has(k)) grouped.set(k, { from, to, symbols: [] });
+                grouped.get(k).symbols.push(sym);
+            }
+        }
+    }
+    return [...grouped.values()];
+}
+
+// "a, b" — or "a / x, b / y" when the moves have Mealy outputs
+const edgeLabel = (a, e) => e.symbols.map((sym) => moveLabel(a, e.from, sym)).join(", ");
+
+function automatonToJSON(a) {
+    const out = {
+        states: [...a.states],
+        alphabet: [...a.alphabet],
+        start: a.start,
+        accept: [...a.accept],
+        transitions: a.transitions
+    };
+    if (a.stateOutputs) out.stateOutputs = a.stateOutputs;
+    if (a.transitionOutputs) out.transitionOutputs = a.transitionOutputs;
+    return JSON.stringify(out, null, 4);
+}
+
+function automatonToDOT(a) {
+    const q = (s) => `"${String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+    const acceptSet = new Set(a.accept);
+    const lines = [
+        "digraph automaton {",
+        "    rankdir=LR;",
+        "    node [shape=circle];"
+    ];
+    if (a.start) lines.push("    __start [shape=point, label=\"\"];");
+    for (const s of a.states) {
+        const attrs = [];
+        if (acceptSet.has(s)) attrs.push("shape=doublecircle");
+        if (a.stateOutputs?.[s] !== undefined) attrs.push(`label=${q(stateLabel(a, s))}`);
+        lines.push(`    ${q(s)}${attrs.length ? ` [${attrs.join(", ")}]` : ""};`);
+    }
+    if (a.start) lines.push(`    __start -> ${q(a.start)};`);
+    for (const e of groupTransitions(a)) {
+        lines.push(`    ${q(e.from)} -> ${q(e.to)} [label=${q(edgeLabel(a, e))}];`);
+    }
+    lines.push("}");
+    return lines.join("\n") + "\n";
+}
+
+function texEscape(text) {
+    return String(text)
+        .replace(/\\/g, "\\textbackslash{}")
+        .replace(/([{}_#%&$])/g, "\\$1")
+        .replace(/\^/g, "\\^{}")
+        .replace(/~/g, "\\~{}")
+        .replace(/ε/g, "$\\varepsilon$")
+        .replace(/∅/g, "$\\emptyset$");
+}
+
+// Canvas positions (scaled); falls back to a row when positions are missing
+function layoutFor(a, positions, scale) {
+    const pos = {};
+    a.states.forEach((s, i) => {
+        const p = positions && positions[s];
+        pos[s] = p ? { x: p.x * scale, y: p.y * scale } : { x: i * 200 * scale, y: 0 };
+    });
+    return pos;
+}
+
+function automatonToTikZ(a, positions) {
+    const id = new Map(a.states.map((s, i) => [s, `s${i}`]));
+    const acceptSet = new Set(a.accept);
+    const pos = layoutFor(a, positions, 1 / 80);
+    const num = (v) => Number(v.toFixed(2));
+
+    const lines = [
+        "% \\usetikzlibrary{automata, positioning, arrows.meta}",
+        "\\begin{tikzpicture}[>=Stealth, shorten >=1pt, auto, every state/.style={minimum size=9mm}]"
+    ];
+    for (const s of a.states) {
+        const opts = ["state"];
+        if (s === a.start) opts.push("initial");
+        if (acceptSet.has(s)) opts.push("accepting");
+        // TikZ y grows upwards, the canvas y downwards
+        lines.push(`    \\node[${opts.join(", ")}] (${id.get(s)}) at (${num(pos[s].x)}, ${num(-pos[s].y)}) {${texEscape(stateLabel(a, s))}};`);
+    }
+
+    const edges = groupTransitions(a);
+    const pairs = new Set(edges.map((e) => `${e.from}→${e.to}`));
+    if (edges.length) {
+        lines.push("    \\path[->]");
+        for (const e of edges) {
+            const label = `node {${texEscape(edgeLabel(a, e))}}`;
+            let style = "";
+            if (e.from === e.to) style = " [loop above]";
+            else if (pairs.has(`${e.to}→${e.from}`)) style = " [bend left]";
+            lines.push(`        (${id.get(e.from)}) edge${style} ${label} (${id.get(e.to)})`);
+        }
+        lines[lines.length - 1] += ";";
+    }
+    lines.push("\\end{tikzpicture}");
+    return lines.join("\n") + "\n";
+}
+
+function automatonToSVG(a, positions) {
+    const R = 24;
+    const pos = layoutFor(a, positions, 1);
+
+    const xs = a.states.map((s) => pos[s].x);
+    const ys = a.states.map((s) => pos[s].y);
+    const pad = 80;
+    const minX = Math.min(0, ...xs) - pad;
+    const minY = Math.min(0, ...ys) - pad;
+    const width = Math.max(0, ...xs) - minX + pad;
+    const height = Math.max(0, ...ys) - minY + pad;
+
+    const esc = (t) => String(t).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    const acceptSet = new Set(a.accept);
+    const out = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(width)}" height="${Math.round(height)}" viewBox="${minX} ${minY} ${width} ${height}" font-family="system-ui, sans-serif" font-size="14">`,
+        "<defs><marker id=\"arrow\" viewBox=\"0 0 10 10\" refX=\"10\" refY=\"5\" markerWidth=\"8\" markerHeight=\"8\" orient=\"auto-start-reverse\"><path d=\"M0,0 L10,5 L0,10 z\" fill=\"#000\"/></marker></defs>"
+    ];
+
+    const pairs = new Set(groupTransitions(a).map((e) => `${e.from}→${e.to}`));
+    for (const e of groupTransitions(a)) {
+        const p = pos[e.from];
+        const t = pos[e.to];
+        const label = esc(edgeLabel(a, e));
+        if (e.from === e.to) {
+            out.push(`<path d="M${p.x - 10},${p.y - R + 2} C${p.x - 35},${p.y - R - 50} ${p.x + 35},${p.y - R - 50} ${p.x + 10},${p.y - R + 2}" fill="none" stroke="#000" marker-end="url(#arrow)"/>`);
+            out.push(`<text x="${p.x}" y="${p.y - R - 42}" text-anchor="middle">${label}</text>`);
+            continue;
+        }
+        const dx = t.x - p.x;
+        const dy = t.y - p.y;
+        const len = Math.hypot(dx, dy) || 1;
+        const ux = dx / len;
+        const uy = dy / len;
+        // bend both directions of a two-way pair apart
+        const bend = pairs.has(`${e.to}→${e.from}`) ? 30 : 0;
+        const mx = (p.x + t.x) / 2 - uy * bend;
+        const my = (p.y + t.y) / 2 + ux * bend;
+        const sx = p.x + ux * R;
+        const sy = p.y + uy * R;
+        const ex = t.x - ux * R;
+        const ey = t.y - uy * R;
+        out.push(`<path d="M${sx},${sy} Q${mx},${my} ${ex},${ey}" fill="none" stroke="#000" marker-end="url(#arrow)"/>`);
+        out.push(`<text x="${mx}" y="${my - 6}" text-anchor="middle">${label}</text>`);
+    }
+
+    for (const s of a.states) {
+        const { x, y } = pos[s];
+        out.push(`<circle cx="${x}" cy="${y}" r="${R}" fill="#fff" stroke="#000" stroke-width="1.5"/>`);
+        if (acceptSet.has(s)) out.push(`<circle cx="${x}" cy="${y}" r="${R - 4}" fill="none" stroke="#000" stroke-width="1.5"/>`);
+        out.push(`<text x="${x}" y="${y + 5}" text-anchor="middle">${esc(stateLabel(a, s))}</text>`);
+        if (s === a.start) {
+            out.push(`<path d="M${x - R - 40},${y} L${x - R},${y}" stroke="#000" marker-end="url(#arrow)"/>`);
+        }
+    }
+
+    out.push("</svg>");
+    return out.join("\n") + "\n";
+}
+
+function downloadURL(filename, url) {
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+function downloadText(filename, text, mime) {
+    const url = URL.createObjectURL(new Blob([text], { type: mime }));
+    downloadURL(filename, url);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// format: json | dot | tikz | svg | png; graphDiv holds the vis-network canvas
+function exportAutomaton(format, a, network, graphDiv, baseName) {
+    const positions = network ? network.getPositions(a.states) : null;
+    switch (format) {
+        case "json":
+            return downloadText(`${baseName}.json`, automatonToJSON(a), "application/json");
+        case "dot":
+            return downloadText(`${baseName}.dot`, automatonToDOT(a), "text/vnd.graphviz");
+        case "tikz":
+            return downloadText(`${baseName}.tex`, automatonToTikZ(a, positions), "application/x-tex");
+        case "svg":
+            return downloadText(`${baseName}.svg`, automatonToSVG(a, positions), "image/svg+xml");
+        case "png": {
+            const canvas = graphDiv.querySelector("canvas");
+            if (!canvas) throw new Error("Nothing is drawn yet");
+            // the canvas itself is transparent: paint it over white
+            const copy = document.createElement("canvas");
+            copy.width = canvas.width;
+            copy.height = canvas.height;
+            const ctx = copy.getContext("2d");
+            ctx.fillStyle = "#ffffff";
+            ctx.fillRect(0, 0, copy.width, copy.height);
+            ctx.drawImage(canvas, 0, 0);
+            return downloadURL(`${baseName}.png`, copy.toDataURL("image/png"));
+        }
+        default:
+            throw new Error(`Unknown export format '${format}'`);
+    }
+}
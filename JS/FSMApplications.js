@@ -0,0 +1,163 @@
+/* Interactive runners for the FSM Applications page (vis-network UMD)
+   - Every <div class="fsm-runner" data-machine="id"> gets the machine
+     APPLICATION_MACHINES[id] (ApplicationMachines.js): its graph, one button
+     per input event, a space-separated input run, and a log of the states
+     visited and the outputs emitted (transduce(), AutomataCore.js)
+   - Events that have no move from the current state are greyed out
+   - Download JSON / Open in NFA → DFA tool hand the same machine to the tool
+     page, the latter as a share link (Persist.js)
+*/
+
+function runnerNodes(a, names) {
+    return new vis.DataSet([
+        ...a.states.map((s) => ({
+            id: s,
+            label: `${s} · ${names[s] || s}` + (a.stateOutputs?.[s] !== undefined ? `\n${a.stateOutputs[s]}` : ""),
+            shape: "box",
+            borderWidth: 2,
+            margin: 8,
+            color: { background: "#ffffff", border: "#2563eb" },
+            font: { face: "Inter, system-ui, sans-serif", size: 13 }
+        })),
+        { id: "__start", label: "", shape: "dot", size: 5, color: { background: "#aaaaaa", border: "#666" } }
+    ]);
+}
+
+// One edge per "from→to", one label line per symbol ("a / out" for Mealy moves)
+function runnerEdges(a) {
+    const grouped = new Map();
+    for (const [from, bySym] of Object.entries(a.transitions)) {
+        for (const [sym, [to]] of Object.entries(bySym)) {
+            const k = `${from}→${to}`;
+            if (!grouped.has(k)) grouped.set(k, { from, to, labels: [] });
+            grouped.get(k).labels.push(moveLabel(a, from, sym));
+        }
+    }
+    return new vis.DataSet([
+        ...[...grouped.entries()].map(([id, e]) => ({
+            id,
+            from: e.from,
+            to: e.to,
+            label: e.labels.join("\n"),
+            color: { color: "#000000" },
+            font: { size: 11, align: "top" },
+            width: 1.4,
+            smooth: { enabled: true, type: e.from === e.to ? "curvedCW" : "dynamic", roundness: 0.6 }
+        })),
+        { id: "__start", from: "__start", to: a.start, color: { color: "#555" }, width: 1.2, label: "start", font: { ital: true } }
+    ]);
+}
+
+const runnerOptions = {
+    interaction: { hover: false, keyboard: false, selectable: false, zoomView: false },
+    nodes: { chosen: false },
+    edges: {
+        chosen: false,
+        arrows: { to: { enabled: true, type: "arrow", scaleFactor: 0.7 } },
+        arrowStrikethrough: false
+    },
+    physics: {
+        enabled: true,
+        solver: "repulsion",
+        repulsion: { nodeDistance: 260, springLength: 220, damping: 0.55 }
+    }
+};
+
+function createRunner(root, id) {
+    const { title, automaton, names, example } = APPLICATION_MACHINES[id];
+    const kind = machineKind(automaton);
+    let inputs = []; // events taken since the last reset
+
+    const graph = make("div", { className: "runner-graph" });
+    const events = make("div", { className: "runner-events" });
+    const eventBtns = automaton.alphabet.map((sym) => {
+        const b = make("button", { className: "ghost", title: `Input event ${sym}` }, sym);
+        b.addEventListener("click", () => {
+            inputs.push(sym);
+            render();
+        });
+        return b;
+    });
+    events.append(...eventBtns);
+
+    const sequence = make("input", { type: "text", placeholder: example, spellcheck: false });
+    const runBtn = make("button", {}, "Run");
+    const exampleBtn = make("button", { className: "ghost" }, "Example run");
+    const resetBtn = make("button", { className: "ghost" }, "Reset");
+    const controls = make("div", { className: "runner-controls" });
+    controls.append(sequence, runBtn, exampleBtn, resetBtn);
+
+    const status = make("div", { className: "runner-status" });
+    const log = make("div", { className: "runner-log" });
+
+    const downloadBtn = make("button", { className: "ghost" }, "Download JSON");
+    const openBtn = make("button", { className: "ghost" }, "Open in NFA → DFA tool");
+    const actions = make("div", { className: "runner-controls" });
+    actions.append(downloadBtn, openBtn);
+
+    root.append(make("p", { className: "muted" }, `${title}. Click the events one at a time, or type a run separated by spaces.`),
+        graph, events, controls, status, log, actions);
+
+    const nodes = runnerNodes(automaton, names);
+    const edges = runnerEdges(automaton);
+    new vis.Network(graph, { nodes, edges }, runnerOptions);
+    const highlighter = createHighlighter(nodes, edges);
+
+    function render(problem) {
+        const trace = transduce(automaton, inputs.join(" "), EVENT_TOKENIZER);
+        const step = trace.steps[trace.steps.length - 1];
+        const [state] = step.active;
+        const moves = automaton.transitions[state] || {};
+        eventBtns.forEach((b, i) => { b.disabled = !(automaton.alphabet[i] in moves); });
+
+        const output = kind === "moore" ? automaton.stateOutputs[state] : step.output;
+        status.textContent = problem || `State ${state} (${names[state]})` + (output ? ` — output: ${output}` : "");
+        status.style.color = problem ? "#b63b3b" : "";
+
+        log.replaceChildren(makeTable(["#", "Event", "State", "Output"], trace.steps.map((s, i) => [
+            String(i),
+            i === 0 ? "—" : s.symbol,
+            `${s.active[0]} · ${names[s.active[0]]}`,
+            s.output === null ? "—" : s.output
+        ])));
+        highlighter.show(step.active, step.taken);
+    }
+
+    // A typed run is kept up to the first event the machine cannot take
+    function runSequence(text) {
+        const trace = transduce(automaton, text, EVENT_TOKENIZER);
+        if (trace.finished) {
+            inputs = trace.symbols;
+            return render();
+        }
+        const reached = trace.steps.filter((s) => s.active.length);
+        const last = reached[reached.length - 1];
+        inputs = last ? trace.symbols.slice(0, last.consumed) : [];
+        if (!last) return render(trace.reason);
+        const n = last.consumed;
+        render(`No move on '${trace.symbols[n]}' from ${last.active[0]}: the run stops after ${n} event${n === 1 ? "" : "s"}`);
+    }
+
+    runBtn.addEventListener("click", () => runSequence(sequence.value));
+    sequence.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") runSequence(sequence.value);
+    });
+    exampleBtn.addEventListener("click", () => {
+        sequence.value = example;
+        runSequence(example);
+    });
+    resetBtn.addEventListener("click", () => {
+        inputs = [];
+        render();
+    });
+
+    downloadBtn.addEventListener("click", () => downloadText(`${id}.json`, automatonToJSON(automaton), "application/json"));
+    openBtn.addEventListener("click", async () => {
+        const session = { automaton, originalNFA: automaton, tokenizer: EVENT_TOKENIZER };
+        location.href = "NFAtoDFA.html" + SHARE_PREFIX + (await encodeSession(session));
+    });
+
+    render();
+}
+
+document.querySelectorAll(".fsm-runner").forEach((root) => createRunner(root, root.dataset.machine));
@@ -0,0 +1,298 @@
+/* Graph layouts and collapsing for large automata (shared by both tools)
+   - Layouts, all deterministic except physics:
+       layered  : left to right, one column per breadth-first depth from the
+                  start, each column ordered after its predecessors
+       circular : the states on a circle in breadth-first order
+       physics  : vis-network's repulsion solver, as before
+     Positions are computed in a Web Worker (LayoutWorker.js); where workers
+     are unavailable (file:// pages) the same functions run inline
+   - Collapsing: past LAYOUT_NODE_LIMIT states only the breadth-first tree's
+     first levels are drawn; a state standing for the subtree below it is a
+     group, drawn "q +N", and clicking it opens one more level
+   - Freeze: physics stays off and changes to the machine no longer re-run
+     the layout, so nothing moves unless dragged
+   - The layout and collapsing functions need no DOM (Node tests, the worker)
+*/
+
+const LAYOUT_MODES = ["layered", "circular", "physics"];
+const LAYOUT_NODE_LIMIT = 200;  // states drawn before subtrees are collapsed
+const LAYER_GAP = 220;
+const ROW_GAP = 110;
+
+/* Breadth-first tree from the start; unreachable states follow as further
+   roots, deeper than everything reachable
+   → { order, depth: {state: n}, parent: {state: state | null}, children: {state: []} } */
+function bfsTree(a) {
+    const order = [];
+    const depth = {};
+    const parent = {};
+    const children = {};
+    let deepest = -1;
+    const visit = (root, d) => {
+        depth[root] = d;
+        parent[root] = null;
+        const queue = [root];
+        for (let head = 0; head < queue.length; head++) {
+            const s = queue[head];
+            order.push(s);
+            children[s] = [];
+            deepest = Math.max(deepest, depth[s]);
+            for (const targets of Object.values(a.transitions[s] || {})) {
+                for (const t of targets) {
+                    if (Object.hasOwn(depth, t)) continue;
+                    depth[t] = depth[s] + 1;
+                    parent[t] = s;
+                    children[s].push(t);
+                    queue.push(t);
+                }
+            }
+        }
+    };
+    if (a.start !== undefined && a.start !== null && a.states.includes(a.start)) visit(a.start, 0);
+    for (const s of a.states) {
+        if (Object.hasOwn(depth, s)) continue;
+        visit(s, deepest + 1);
+    }
+    return { order, depth, parent, children };
+}
+
+/* The part of `a` to draw: every state up to the deepest breadth-first level
+   that keeps the count within `limit`, plus the subtrees opened in `expanded`.
+   Moves into hidden states point at the group standing for them.
+   → { automaton, groups: {state: hidden count}, rep: {state: state drawn} } */
+function collapseSubtrees(a, limit = LAYOUT_NODE_LIMIT, expanded = []) {
+    const tree = bfsTree(a);
+    const perDepth = [];
+    for (const s of tree.order) perDepth[tree.depth[s]] = (perDepth[tree.depth[s]] || 0) + 1;
+    let cut = 0;
+    for (let d = 0, total = 0; d < perDepth.length; d++) {
+        total += perDepth[d] || 0;
+        if (total > limit && d > 0) break;
+        cut = d;
+    }
+    const open = new Set(expanded);
+    const isOpen = (s) => tree.depth[s] < cut || open.has(s);
+
+    // a state is drawn when it is a root within the cut or its parent is open
+    const rep = {};
+    for (const s of tree.order) {
+        const p = tree.parent[s];
+        if (p === null) rep[s] = tree.depth[s] <= cut || open.has(s) ? s : null;
+        else rep[s] = rep[p] === p && isOpen(p) ? s : rep[p];
+    }
+    // roots past the cut have no group of their own; the first such root stands for the rest
+    const strays = tree.order.filter((s) => rep[s] === null);
+    for (const s of strays) rep[s] = strays[0];
+    if (strays.length) rep[strays[0]] = strays[0];
+
+    const shown = a.states.filter((s) => rep[s] === s);
+    const groups = {};
+    for (const s of a.states) {
+        if (rep[s] !== s) groups[rep[s]] = (groups[rep[s]] || 0) + 1;
+    }
+    if (!Object.keys(groups).length) return { automaton: a, groups, rep };
+
+    const transitions = {};
+    for (const [from, bySym] of Object.entries(a.transitions)) {
+        const source = rep[from];
+        for (const [sym, targets] of Object.entries(bySym)) {
+            for (const t of targets) {
+                if (rep[t] === source && !(t === from && from === source)) continue; // inside a group
+                const row = (transitions[source] = transitions[source] || {});
+                const list = (row[sym] = row[sym] || []);
+                if (!list.includes(rep[t])) list.push(rep[t]);
+            }
+        }
+    }
+    const automaton = { ...a, states: shown, accept: (a.accept || []).filter((s) => rep[s] === s), transitions };
+    return { automaton, groups, rep };
+}
+
+// Columns by depth; within a column, by the mean row of the predecessors
+function layeredLayout(a) {
+    const tree = bfsTree(a);
+    const columns = [];
+    for (const s of tree.order) (columns[tree.depth[s]] = columns[tree.depth[s]] || []).push(s);
+
+    const preds = {};
+    for (const [from, bySym] of Object.entries(a.transitions)) {
+        for (const targets of Object.values(bySym)) {
+            for (const t of targets) {
+                if (tree.depth[from] < tree.depth[t]) (preds[t] = preds[t] || []).push(from);
+            }
+        }
+    }
+    const positions = {};
+    for (const [d, column] of columns.entries()) {
+        if (!column) continue;
+        const weight = (s) => {
+            const rows = (preds[s] || []).map((p) => positions[p].y);
+            return rows.length ? rows.reduce((x, y) => x + y, 0) / rows.length : 0;
+        };
+        const sorted = column.map((s, i) => [s, weight(s), i]).sort((x, y) => x[1] - y[1] || x[2] - y[2]);
+        sorted.forEach(([s], i) => {
+            positions[s] = { x: d * LAYER_GAP, y: (i - (sorted.length - 1) / 2) * ROW_GAP };
+        });
+    }
+    if (Object.hasOwn(positions, a.start)) positions.__start = { x: positions[a.start].x - LAYER_GAP * 0.6, y: positions[a.start].y };
+    return positions;
+}
+
+// Breadth-first order around a circle, the start on the left
+function circularLayout(a) {
+    const { order } = bfsTree(a);
+    const radius = Math.max(LAYER_GAP, (order.length * ROW_GAP) / (2 * Math.PI));
+    const positions = {};
+    order.forEach((s, i) => {
+        const angle = Math.PI + (2 * Math.PI * i) / order.length;
+        positions[s] = { x: Math.round(radius * Math.cos(angle)), y: Math.round(radius * Math.sin(angle)) };
+    });
+    if (Object.hasOwn(positions, a.start)) positions.__start = { x: positions[a.start].x - LAYER_GAP * 0.6, y: positions[a.start].y };
+    return positions;
+}
+
+// mode → { id: {x, y} } for every state and the start marker ({} for physics)
+function layoutPositions(mode, a) {
+    if (mode === "layered") return layeredLayout(a);
+    if (mode === "circular") return circularLayout(a);
+    return {};
+}
+
+/* Page side */
+
+let layoutWorker; // undefined: not tried yet; null: unavailable
+let layoutJobs = 0;
+const layoutPending = new Map(); // job id → { mode, graph, resolve }
+
+// layoutPositions() in LayoutWorker.js, inline when there is no worker
+function computeLayout(mode, a) {
+    if (layoutWorker === undefined) {
+        try {
+            layoutWorker = new Worker("JS/LayoutWorker.js");
+            layoutWorker.addEventListener("message", (e) => {
+                const job = layoutPending.get(e.data.id);
+                layoutPending.delete(e.data.id);
+                if (job) job.resolve(e.data.positions);
+            });
+            // a worker that cannot start: finish its jobs here and stop using it
+            layoutWorker.addEventListener("error", () => {
+                layoutWorker = null;
+                for (const job of layoutPending.values()) job.resolve(layoutPositions(job.mode, job.graph));
+                layoutPending.clear();
+            });
+        } catch (e) {
+            layoutWorker = null;
+        }
+    }
+    const graph = { states: a.states, start: a.start, transitions: a.transitions };
+    if (!layoutWorker) return Promise.resolve(layoutPositions(mode, graph));
+
+    const id = ++layoutJobs;
+    return new Promise((resolve) => {
+        layoutPending.set(id, { mode, graph, resolve });
+        layoutWorker.postMessage({ id, mode, graph });
+    });
+}
+
+/* The layout select and freeze checkbox of a tool page
+   host: { network(), nodes() → DataSet drawn, shown() → automaton drawn,
+           isGroup(id), expand(id) → draw again with that group opened,
+           changed() }
+   arrange(fresh): after drawing; a fresh DataSet is always laid out, a
+   changed one only while not frozen. settle(): after restoring saved positions */
+function createLayoutControls(modeSelect, freezeBox, host) {
+    let ticket = 0;
+
+    function applyPhysics(fresh) {
+        const network = host.network();
+        const physics = modeSelect.value === "physics";
+        if (physics && freezeBox.checked && fresh) {
+            // let the solver settle once, then hold still
+            network.setOptions({ physics: { enabled: true } });
+            network.once("stabilized", () => {
+                if (freezeBox.checked) network.setOptions({ physics: { enabled: false } });
+            });
+            return;
+        }
+        network.setOptions({ physics: { enabled: physics && !freezeBox.checked } });
+    }
+
+    function arrange(fresh = true) {
+        const network = host.network();
+        if (!network) return;
+        applyPhysics(fresh);
+        if (modeSelect.value === "physics" || (freezeBox.checked && !fresh)) return;
+        const mine = ++ticket;
+        computeLayout(modeSelect.value, host.shown()).then((positions) => {
+            if (mine !== ticket || host.network() !== network) return;
+            const nodes = host.nodes();
+            nodes.update(Object.entries(positions)
+                .filter(([id]) => nodes.get(id))
+                .map(([id, { x, y }]) => ({ id, x, y })));
+            if (fresh) network.fit();
+            host.changed();
+        });
+    }
+
+    // call once a network exists: a click on a group opens it
+    let listening = null;
+    function listen() {
+        const network = host.network();
+        if (!network || listening === network) return;
+        listening = network;
+        network.on("click", (params) => {
+            const id = network.getNodeAt(params.pointer.DOM);
+            if (id !== undefined && host.isGroup(id)) host.expand(id);
+        });
+    }
+
+    // positions restored from elsewhere: cancel pending layouts, keep physics right
+    function settle() {
+        ticket++;
+        if (host.network()) applyPhysics(false);
+    }
+
+    modeSelect.addEventListener("change", () => {
+        arrange(true);
+        host.changed();
+    });
+    freezeBox.addEventListener("change", () => {
+        if (!host.network()) return;
+        applyPhysics(false);
+        if (!freezeBox.checked) arrange(false);
+    });
+
+    return { arrange, settle, listen };
+}
+
+// Node items with the group look, a dashed box "q +N"; other nodes lose it
+function groupNodes(items, groups) {
+    return items.map((n) => (Object.hasOwn(groups, n.id)
+        ? {
+            ...n,
+            label: `${n.label}\n+${groups[n.id]}`,
+            title: `${groups[n.id]} more state${groups[n.id] === 1 ? "" : "s"} — click to open`,
+            shape: "box",
+            shapeProperties: { borderDashes: [5, 4] }
+        }
+        : { ...n, title: undefined, shapeProperties: { borderDashes: false } }));
+}
+
+function collapseNote(total, groups) {
+    const hidden = Object.values(groups).reduce((x, y) => x + y, 0);
+    const count = Object.keys(groups).length;
+    return `The automaton has ${total} states; ${hidden} of them are collapsed into ${count} group${count === 1 ? "" : "s"} drawn "q +N". Click a group to open it. Testing, minimizing and export use the whole automaton.`;
+}
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        LAYOUT_MODES,
+        LAYOUT_NODE_LIMIT,
+        bfsTree,
+        collapseSubtrees,
+        layeredLayout,
+        circularLayout,
+        layoutPositions
+    };
+}
@@ -0,0 +1,352 @@
+/* Import layer behind the file inputs (shared by both tools)
+   - Auto-detects the format of an uploaded text:
+       • JSON         : the project's own format, returned as parsed
+       • JFLAP (.jff) : <structure><type>fa</type> … finite automata only
+       • DOT          : digraph subset — doublecircle = accept, labelled edges,
+                        a shape=point node pointing at the start state
+       • Table        : one transition per line, "q0 a -> q1" (see below)
+   - Non-JSON formats are normalized into { states, alphabet, start, accept,
+     transitions }; problems are collected per line and thrown together
+*/
+
+const IMPORT_EPSILON = "ε"; // same spelling as EPSILON in AutomataCore.js
+const EPSILON_ALIASES = new Set(["ε", "eps", "epsilon", "λ", "lambda"]);
+
+// Collects "Line n: …" messages; throws them all at once
+function createProblemList() {
+    const problems = [];
+    return {
+        add(line, message) {
+            problems.push(line ? `Line ${line}: ${message}` : message);
+        },
+        throwIfAny() {
+            if (problems.length) throw new Error(problems.join("\n"));
+        }
+    };
+}
+
+// Incremental builder that keeps states in order of appearance
+function createAutomatonBuilder() {
+    const states = [];
+    const alphabet = [];
+    const accept = [];
+    const transitions = {};
+    let start = null;
+
+    const addState = (s) => {
+        if (!states.includes(s)) {
+            states.push(s);
+            transitions[s] = {};
+        }
+    };
+
+    return {
+        addState,
+        setStart(s) {
+            addState(s);
+            start = s;
+        },
+        addAccept(s) {
+            addState(s);
+            if (!accept.includes(s)) accept.push(s);
+        },
+        addSymbol(sym) {
+            if (sym !== IMPORT_EPSILON && !alphabet.includes(sym)) alphabet.push(sym);
+        },
+        addMove(from, sym, to) {
+            addState(from);
+            addState(to);
+            this.addSymbol(sym);
+            const targets = (transitions[from][sym] = transitions[from][sym] || []);
+            if (!targets.includes(to)) targets.push(to);
+        },
+        hasStart: () => start !== null,
+        build: () => ({ states, alphabet, start: start ?? states[0] ?? null, accept, transitions })
+    };
+}
+
+const normalizeSymbol = (sym) => (sym === "" || EPSILON_ALIASES.has(sym) ? IMPORT_EPSILON : sym);
+
+function detectFormat(text) {
+    const t = text.trimStart();
+    if (t.startsWith("{")) return "json";
+    if (t.startsWith("<")) return "jflap";
+    if (/^(strict\s+)?(di)?graph\b/i.test(t.replace(/^(\/\/[^\n]*\n|#[^\n]*\n|\s)*/, ""))) return "dot";
+    return "table";
+}
+
+// → { automaton, format }
+function importAutomaton(text) {
+    const format = detectFormat(text);
+    switch (format) {
+        case "json":
+            return { automaton: JSON.parse(text), format };
+        case "jflap":
+            return { automaton: parseJFLAP(text), format };
+        case "dot":
+            return { automaton: parseDOT(text), format };
+        default:
+            return { automaton: parseTransitionTable(text), format };
+    }
+}
+
+/* JFLAP .jff (XML). Read with regexes rather than DOMParser so the same code
+   can run outside a browser. */
+function parseJFLAP(text) {
+    const problems = createProblemList();
+    const lineAt = (index) => text.slice(0, index).split("\n").length;
+    const tag = (block, name) => {
+        const m = block.match(new RegExp(`<${name}\\s*>([\\s\\S]*?)</${name}\\s*>`));
+        return m ? decodeXml(m[1].trim()) : null;
+    };
+
+    const type = tag(text, "type");
+    if (type !== null && type !== "fa") problems.add(lineAt(text.indexOf("<type")), `JFLAP type '${type}' is not a finite automaton`);
+    problems.throwIfAny();
+
+    const builder = createAutomatonBuilder();
+    const names = new Map(); // JFLAP id -> state name
+
+    const stateRe = /<state\b([^>]*?)(\/>|>([\s\S]*?)<\/state\s*>)/g;
+    for (const m of text.matchAll(stateRe)) {
+        const attrs = parseXmlAttributes(m[1]);
+        const body = m[3] || "";
+        const line = lineAt(m.index);
+        if (attrs.id === undefined) {
+            problems.add(line, "<state> without an id");
+            continue;
+        }
+        const name = attrs.name !== undefined && attrs.name !== "" ? attrs.name : `q${attrs.id}`;
+        if (names.has(attrs.id)) problems.add(line, `Duplicate state id '${attrs.id}'`);
+        names.set(attrs.id, name);
+        builder.addState(name);
+        if (/<initial\s*\/?>/.test(body)) builder.setStart(name);
+        if (/<final\s*\/?>/.test(body)) builder.addAccept(name);
+    }
+
+    const transRe = /<transition\b[^>]*>([\s\S]*?)<\/transition\s*>/g;
+    for (const m of text.matchAll(transRe)) {
+        const line = lineAt(m.index);
+        const from = tag(m[1], "from");
+        const to = tag(m[1], "to");
+        const read = /<read\s*\/>/.test(m[1]) ? "" : tag(m[1], "read");
+        if (!names.has(from)) problems.add(line, `Transition from unknown state id '${from}'`);
+        if (!names.has(to)) problems.add(line, `Transition to unknown state id '${to}'`);
+        if (read === null) problems.add(line, "Transition without <read>");
+        if (names.has(from) && names.has(to) && read !== null) {
+            builder.addMove(names.get(from), normalizeSymbol(read), names.get(to));
+        }
+    }
+
+    if (!names.size) problems.add(0, "No <state> elements found");
+    problems.throwIfAny();
+    return builder.build();
+}
+
+function parseXmlAttributes(src) {
+    const attrs = {};
+    for (const m of src.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        attrs[m[1]] = decodeXml(m[3] ?? m[4]);
+    }
+    return attrs;
+}
+
+function decodeXml(s) {
+    return s
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, "\"")
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&");
+}
+
+/* DOT subset: one statement per line or per ';' outside quoted strings
+     node [shape=doublecircle]; q3 q4;     default shape for the names that follow
+     q2 [shape=doublecircle];              accept state
+     __start [shape=point]; __start -> q0; start marker
+     q0 -> q1 [label="a, b"];              transition(s)
+*/
+function parseDOT(text) {
+    const problems = createProblemList();
+    const builder = createAutomatonBuilder();
+    const ID = String.raw`("(?:[^"\\]|\\.)*"|[^\s\[\];{}"=>,-]+)`;
+    const unquote = (s) => (s.startsWith("\"") ? s.slice(1, -1).replace(/\\(.)/g, "$1") : s);
+
+    let defaultShape = "circle";
+    const shapes = new Map();       // node -> shape
+    const edges = [];               // { from, to, label, line }
+
+    let inBlockComment = false;
+    text.split("\n").forEach((raw, i) => {
+        const line = i + 1;
+        let src = raw;
+        if (inBlockComment) {
+            const end = src.indexOf("*/");
+            if (end < 0) return;
+            src = src.slice(end + 2);
+            inBlockComment = false;
+        }
+        src = src.replace(/\/\*.*?\*\//g, "");
+        if (src.includes("/*")) {
+            src = src.slice(0, src.indexOf("/*"));
+            inBlockComment = true;
+        }
+        src = src.replace(/(^|\s)(\/\/|#).*$/, "");
+
+        for (let stmt of splitDotStatements(src)) {
+            stmt = stmt.trim();
+            stmt = stmt.replace(/^(strict\s+)?(di)?graph\b[^{]*\{?/i, "").replace(/^\{|\}$/g, "").trim();
+            if (!stmt) continue;
+
+            const attrsMatch = stmt.match(/\[(.*)\]\s*$/);
+            const attrs = attrsMatch ? parseDotAttributes(attrsMatch[1]) : {};
+            const head = attrsMatch ? stmt.slice(0, attrsMatch.index).trim() : stmt;
+
+            if (/^(graph|edge)$/i.test(head) || /^\w+\s*=(?!>)/.test(head)) continue; // layout settings
+            if (/^node$/i.test(head)) {
+                if (attrs.shape) defaultShape = attrs.shape;
+                continue;
+            }
+
+            const edge = head.match(new RegExp(`^${ID}\\s*->\\s*${ID}$`));
+            if (edge) {
+                edges.push({ from: unquote(edge[1]), to: unquote(edge[2]), label: attrs.label, line });
+                continue;
+            }
+
+            const ids = [...head.matchAll(new RegExp(ID, "g"))].map((m) => unquote(m[1]));
+            if (!ids.length || head.replace(new RegExp(ID, "g"), "").trim()) {
+                problems.add(line, `Cannot parse '${stmt}'`);
+                continue;
+            }
+            for (const id of ids) shapes.set(id, attrs.shape || (attrsMatch ? shapes.get(id) || defaultShape : defaultShape));
+        }
+    });
+
+    const isMarker = (id) => ["point", "none", "plaintext", "plain"].includes(shapes.get(id));
+    const isStartArrow = (e) => isMarker(e.from) || (e.label === undefined && !shapes.has(e.from) && /^_*start$/i.test(e.from));
+
+    for (const [id, shape] of shapes.entries()) {
+        if (isMarker(id)) continue;
+        builder.addState(id);
+        if (shape === "doublecircle") builder.addAccept(id);
+    }
+
+    for (const e of edges) {
+        if (isStartArrow(e)) {
+            if (builder.hasStart()) problems.add(e.line, "More than one start arrow");
+            builder.setStart(e.to);
+            continue;
+        }
+        if (e.label === undefined) {
+            problems.add(e.line, `Edge ${e.from} -> ${e.to} has no label`);
+            continue;
+        }
+        const syms = splitSymbols(e.label);
+        for (const sym of syms) builder.addMove(e.from, sym, e.to);
+    }
+
+    problems.throwIfAny();
+    const a = builder.build();
+    if (!a.states.length) problems.add(0, "No states found");
+    problems.throwIfAny();
+    return a;
+}
+
+// Split at the ';' outside quoted strings ("a;b" is one label)
+function splitDotStatements(src) {
+    const statements = [];
+    let start = 0;
+    let quoted = false;
+    for (let i = 0; i < src.length; i++) {
+        if (quoted && src[i] === "\\") i++;
+        else if (src[i] === "\"") quoted = !quoted;
+        else if (src[i] === ";" && !quoted) {
+            statements.push(src.slice(start, i));
+            start = i + 1;
+        }
+    }
+    statements.push(src.slice(start));
+    return statements;
+}
+
+function parseDotAttributes(src) {
+    const attrs = {};
+    for (const m of src.matchAll(/(\w+)\s*=\s*("((?:[^"\\]|\\.)*)"|[^,\s\]]+)/g)) {
+        attrs[m[1].toLowerCase()] = m[3] !== undefined ? m[3].replace(/\\(.)/g, "$1") : m[2];
+    }
+    return attrs;
+}
+
+// "a, b" / "a,b" → ["a", "b"]; "" and ε aliases → ε
+function splitSymbols(label) {
+    const parts = label.split(",").map((p) => p.trim());
+    return [...new Set(parts.map(normalizeSymbol))];
+}
+
+/* Compact transition table, one statement per line ('#' starts a comment)
+     start: q0
+     accept: q2 q3
+     alphabet: a b          (optional; otherwise taken from the transitions)
+     q0 a -> q1
+     q0 a,b -> q1 q2
+     q1 ε -> q2             (eps / epsilon work too)
+   Without a start line, the first state mentioned is the start state.
+*/
+function parseTransitionTable(text) {
+    const problems = createProblemList();
+    const builder = createAutomatonBuilder();
+    const declared = [];
+
+    text.split("\n").forEach((raw, i) => {
+        const line = i + 1;
+        const src = raw.replace(/#.*$/, "").trim();
+        if (!src) return;
+
+        const decl = src.match(/^(start|initial|accept|final|alphabet|states)\s*:?\s+(.*)$/i);
+        if (decl && !src.includes("->")) {
+            const names = decl[2].split(/[\s,]+/).filter(Boolean);
+            const kind = decl[1].toLowerCase();
+            if (kind === "start" || kind === "initial") {
+                if (names.length !== 1) problems.add(line, "Exactly one start state expected");
+                else builder.setStart(names[0]);
+            } else if (kind === "accept" || kind === "final") {
+                names.forEach((n) => builder.addAccept(n));
+            } else if (kind === "alphabet") {
+                names.forEach((n) => declared.push(n));
+            } else {
+                names.forEach((n) => builder.addState(n));
+            }
+            return;
+        }
+
+        const m = src.match(/^(\S+)\s+(\S+)\s*->\s*(.+)$/);
+        if (!m) {
+            problems.add(line, `Expected "from symbol -> to", got '${src}'`);
+            return;
+        }
+        const targets = m[3].split(/[\s,]+/).filter(Boolean);
+        for (const sym of splitSymbols(m[2])) {
+            if (declared.length && sym !== IMPORT_EPSILON && !declared.includes(sym)) {
+                problems.add(line, `Symbol '${sym}' not in declared alphabet`);
+                continue;
+            }
+            for (const to of targets) builder.addMove(m[1], sym, to);
+        }
+    });
+
+    const a = builder.build();
+    if (!a.states.length) problems.add(0, "No transitions or states found");
+    problems.throwIfAny();
+    if (declared.length) a.alphabet = [...declared];
+    return a;
+}
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        createProblemList,
+        detectFormat,
+        importAutomaton
+    };
+}
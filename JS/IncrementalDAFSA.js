@@ -0,0 +1,124 @@
+/* Incremental DAFSA construction from a sorted word list
+   (Daciuk, Mihov, Watson & Watson 2000, "Incremental construction of minimal
+   acyclic finite-state automata", the sorted-input variant)
+   - Words are added in lexicographic order; only the path of the previous
+     word is still "open". When the next word leaves that path, the states
+     below the common prefix can never change again, so each is merged with
+     an equivalent state from the register (same finality, same outgoing
+     edges) or becomes the register's representative itself
+   - The full trie is never built and nothing recurses: memory stays close to
+     the size of the minimal automaton, even for 100k+ words
+*/
+
+// Node: the helpers the pages load as separate <script>s
+if (typeof module === "object" && module.exports) Object.assign(globalThis, require("./Tokenize.js"));
+
+// Symbol arrays in lexicographic order (the order the algorithm needs)
+function compareWords(x, y) {
+    const n = Math.min(x.length, y.length);
+    for (let i = 0; i < n; i++) {
+        if (x[i] !== y[i]) return x[i] < y[i] ? -1 : 1;
+    }
+    return x.length - y.length;
+}
+
+/* words: arrays of symbols (any order, duplicates allowed)
+   → { dfa, stats: { words, states, transitions, ms } } */
+function buildDAFSAIncremental(words, alphabet) {
+    const t0 = performance.now();
+    const sorted = [...words].sort(compareWords);
+
+    let nextId = 0;
+    const newState = () => ({ id: nextId++, final: false, edges: new Map() });
+    const register = new Map(); // signature -> state
+
+    // Finality + edges; children are already registered, so their ids are canonical.
+    // Edges are added in sorted order, so no sorting is needed here.
+    const signature = (s) => {
+        let key = s.final ? "1" : "0";
+        for (const [sym, child] of s.edges) key += `\u0000${sym}\u0001${child.id}`;
+        return key;
+    };
+
+    const root = newState();
+    const path = [root];   // path[i] = state after the first i symbols of `prev`
+    let prev = [];
+    let count = 0;
+
+    // Freeze the open path below depth `keep`, deepest state first
+    function replaceOrRegister(keep) {
+        for (let i = prev.length; i > keep; i--) {
+            const child = path[i];
+            const key = signature(child);
+            const same = register.get(key);
+            if (same) path[i - 1].edges.set(prev[i - 1], same);
+            else register.set(key, child);
+        }
+        path.length = keep + 1;
+    }
+
+    for (const word of sorted) {
+        if (count && compareWords(word, prev) === 0) continue; // duplicate
+        let common = 0;
+        while (common < word.length && common < prev.length && word[common] === prev[common]) common++;
+
+        replaceOrRegister(common);
+        for (let i = common; i < word.length; i++) {
+            const s = newState();
+            path[i].edges.set(word[i], s);
+            path.push(s);
+        }
+        path[word.length].final = true;
+        prev = word;
+        count++;
+    }
+    replaceOrRegister(0);
+
+    // Number the surviving states breadth-first from the root
+    const ids = new Map([[root, "q0"]]);
+    const queue = [root];
+    const dfa = { alphabet: [...alphabet], states: [], start: "q0", accept: [], transitions: {} };
+    let transitions = 0;
+    for (let head = 0; head < queue.length; head++) {
+        const s = queue[head];
+        const name = ids.get(s);
+        dfa.states.push(name);
+        if (s.final) dfa.accept.push(name);
+        dfa.transitions[name] = {};
+        for (const [sym, child] of s.edges) {
+            if (!ids.has(child)) {
+                ids.set(child, `q${ids.size}`);
+                queue.push(child);
+            }
+            dfa.transitions[name][sym] = [ids.get(child)];
+            transitions++;
+        }
+    }
+
+    const stats = { words: count, states: dfa.states.length, transitions, ms: performance.now() - t0 };
+    return { dfa, stats };
+}
+
+/* Plain newline-separated word list → { words (text), symbols (arrays), alphabet }
+   Blank lines are skipped; symbols are single characters, or separated by
+   the tokenizer's separator in separator mode. */
+function parseWordList(text, tokenizer) {
+    const mode = tokenizer && tokenizer.mode === "separator" ? tokenizer : { mode: "chars" };
+    const words = text.split(/\r?\n/).filter((line) => line !== "");
+    const alpha = new Set();
+    const symbols = words.map((w) => {
+        const syms = tokenize(w, [], mode).symbols;
+        for (const s of syms) alpha.add(s);
+        return syms;
+    });
+    return { words, symbols, alphabet: [...alpha].sort() };
+}
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        compareWords,
+        buildDAFSAIncremental,
+        parseWordList
+    };
+}
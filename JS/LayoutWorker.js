@@ -0,0 +1,9 @@
+/* Web Worker for GraphLayout.js: { id, mode, graph } → { id, positions },
+   so laying out a large machine never blocks the page */
+
+importScripts("GraphLayout.js");
+
+self.addEventListener("message", (e) => {
+    const { id, mode, graph } = e.data;
+    self.postMessage({ id, positions: layoutPositions(mode, graph) });
+});
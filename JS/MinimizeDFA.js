@@ -0,0 +1,211 @@
+/* DFA minimization (Hopcroft's partition refinement)
+   - Works on any DFA, cyclic or not (unlike minimizeAcyclicDFA in AutomataCore.js)
+   - Steps: drop unreachable states → complete with an explicit dead state →
+     refine {accept, non-accept} until stable → one state per block
+   - Each minimal state is named after a representative of its block; the
+     returned `blocks` map lists every original state merged into it
+*/
+
+// Node: the helpers the pages load as separate <script>s
+if (typeof module === "object" && module.exports) Object.assign(globalThis, require("./AutomataCore.js"));
+
+const DEAD_STATE = "∅";
+
+// A DFA has no ε-moves and at most one target per (state, symbol)
+function isDFA(a) {
+    for (const bySym of Object.values(a.transitions || {})) {
+        for (const [sym, targets] of Object.entries(bySym || {})) {
+            if (sym === EPSILON && (targets || []).length) return false;
+            if ((targets || []).length > 1) return false;
+        }
+    }
+    return true;
+}
+
+function reachableStates(dfa) {
+    const seen = new Set([dfa.start]);
+    const stack = [dfa.start];
+    while (stack.length) {
+        const q = stack.pop();
+        for (const targets of Object.values((dfa.transitions || {})[q] || {})) {
+            for (const t of targets || []) {
+                if (!seen.has(t)) {
+                    seen.add(t);
+                    stack.push(t);
+                }
+            }
+        }
+    }
+    // keep declaration order
+    return dfa.states.filter((s) => seen.has(s));
+}
+
+/* Total transition function: every missing (state, symbol) goes to a dead
+   state that loops on itself. The dead state is only added when needed. */
+function completeDFA(dfa) {
+    let dead = DEAD_STATE;
+    while (dfa.states.includes(dead)) dead += "'";
+
+    const transitions = {};
+    let needsDead = false;
+    for (const s of dfa.states) {
+        transitions[s] = {};
+        for (const sym of dfa.alphabet) {
+            const t = (((dfa.transitions || {})[s] || {})[sym] || [])[0];
+            if (t === undefined) needsDead = true;
+            transitions[s][sym] = [t === undefined ? dead : t];
+        }
+    }
+
+    const states = [...dfa.states];
+    if (needsDead) {
+        states.push(dead);
+        transitions[dead] = {};
+        for (const sym of dfa.alphabet) transitions[dead][sym] = [dead];
+    }
+
+    return {
+        states,
+        alphabet: [...dfa.alphabet],
+        start: dfa.start,
+        accept: [...dfa.accept],
+        transitions
+    };
+}
+
+function minimizeDFA(input) {
+    if (!isDFA(input)) throw new Error("Automaton is not deterministic; convert it to a DFA first");
+    if (!input.start) throw new Error("No start state");
+
+    const reachable = reachableStates(input);
+    const keep = new Set(reachable);
+    const trimmed = {
+        ...input,
+        states: reachable,
+        accept: (input.accept || []).filter((s) => keep.has(s))
+    };
+    const dfa = completeDFA(trimmed);
+    const { states, alphabet, transitions } = dfa;
+
+    // inverse[sym][q] = states p with δ(p, sym) = q
+    const inverse = {};
+    for (const sym of alphabet) {
+        inverse[sym] = new Map();
+        for (const p of states) {
+            const q = transitions[p][sym][0];
+            if (!inverse[sym].has(q)) inverse[sym].set(q, []);
+            inverse[sym].get(q).push(p);
+        }
+    }
+
+    // Initial partition {F, Q\F}, skipping empty blocks
+    const acceptSet = new Set(dfa.accept);
+    const blocks = [
+        states.filter((s) => acceptSet.has(s)),
+        states.filter((s) => !acceptSet.has(s))
+    ].filter((b) => b.length).map((b) => new Set(b));
+
+    const blockOf = new Map();
+    blocks.forEach((b, i) => b.forEach((s) => blockOf.set(s, i)));
+
+    // Worklist of splitter blocks; start with the smaller half
+    const work = [];
+    const inWork = new Set();
+    const pushWork = (i) => {
+        if (!inWork.has(i)) {
+            inWork.add(i);
+            work.push(i);
+        }
+    };
+    if (blocks.length === 2) pushWork(blocks[0].size <= blocks[1].size ? 0 : 1);
+    else if (blocks.length === 1) pushWork(0);
+
+    while (work.length) {
+        const a = work.pop();
+        inWork.delete(a);
+        const splitter = [...blocks[a]];
+
+        for (const sym of alphabet) {
+            // X = states that move into the splitter on sym, grouped by block
+            const hit = new Map(); // block index -> states in X
+            for (const q of splitter) {
+                for (const p of inverse[sym].get(q) || []) {
+                    const b = blockOf.get(p);
+                    if (!hit.has(b)) hit.set(b, []);
+                    hit.get(b).push(p);
+                }
+            }
+
+            for (const [b, inX] of hit.entries()) {
+                if (inX.length === blocks[b].size) continue; // Y ⊆ X, no split
+
+                const moved = new Set(inX);
+                const rest = new Set([...blocks[b]].filter((s) => !moved.has(s)));
+                blocks[b] = rest;
+                const nb = blocks.length;
+                blocks.push(moved);
+                moved.forEach((s) => blockOf.set(s, nb));
+
+                if (inWork.has(b)) pushWork(nb);
+                else pushWork(moved.size <= rest.size ? nb : b);
+            }
+        }
+    }
+
+    // Representative per block: the start state for its block, else the
+    // first member in declaration order
+    const rep = new Map(); // block index -> name
+    rep.set(blockOf.get(dfa.start), dfa.start);
+    for (const s of states) {
+        const b = blockOf.get(s);
+        if (!rep.has(b)) rep.set(b, s);
+    }
+
+    // Emit in BFS order from the start state so the output reads naturally
+    const order = [];
+    const seen = new Set([dfa.start]);
+    const queue = [dfa.start];
+    while (queue.length) {
+        const s = queue.shift();
+        order.push(s);
+        for (const sym of alphabet) {
+            const t = rep.get(blockOf.get(transitions[s][sym][0]));
+            if (!seen.has(t)) {
+                seen.add(t);
+                queue.push(t);
+            }
+        }
+    }
+
+    const minTransitions = {};
+    const merged = {};
+    for (const s of order) {
+        minTransitions[s] = {};
+        for (const sym of alphabet) {
+            minTransitions[s][sym] = [rep.get(blockOf.get(transitions[s][sym][0]))];
+        }
+        merged[s] = [...blocks[blockOf.get(s)]];
+    }
+
+    return {
+        dfa: {
+            states: order,
+            alphabet: [...alphabet],
+            start: dfa.start,
+            accept: order.filter((s) => acceptSet.has(s)),
+            transitions: minTransitions
+        },
+        blocks: merged
+    };
+}
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        DEAD_STATE,
+        isDFA,
+        reachableStates,
+        completeDFA,
+        minimizeDFA
+    };
+}
@@ -1,9 +1,33 @@
 /* Plain-JS automaton viewer & tester (vis-network UMD)
    - Start with NO machine rendered; controls disabled until a file is loaded
    - Two tools + 1 action:
-       • Upload Automaton (.txt/.json, but JSON-formatted)
-       • Test String (auto-reject if symbol not in alphabet)
-       • Convert NFA → DFA
+       • Upload Automaton (JSON, JFLAP .jff, DOT or a transition list — Import.js)
+         or build one from a regex
+       • Edit Graph: draw or change the machine directly on the canvas (Editor.js)
+       • Export the current machine as JSON / DOT / TikZ / SVG / PNG (Export.js)
+       • Test String (auto-reject if symbol not in alphabet), Simulate it step by step
+         or Batch Test a whole suite with expected results (BatchTest.js);
+         input is split into alphabet symbols as chosen in the tokens select (Tokenize.js)
+       • Language: empty / finite / infinite, words per length, shortlex listing (Enumerate.js)
+       • Convert NFA → DFA (or Explain the conversion step by step), then
+         Minimize DFA (Hopcroft, MinimizeDFA.js); the conversion runs in
+         SubsetWorker.js with progress, Cancel and a maximum state count
+       • Derive Regex: back from the machine to a regular expression by state
+         elimination, optionally animated on the graph (AutomatonToRegex.js)
+       • Combine with a second automaton B: union / intersection / difference /
+         symmetric difference, or complement (product construction, ProductDFA.js);
+         Language and Combine determinize under the same maximum state count
+       • Work is autosaved in the browser; Projects keeps named copies and
+         Share Link puts the machine into the URL (Persist.js)
+   - ε-moves live in the transition table under the "ε" symbol
+   - Moore / Mealy machines (stateOutputs / transitionOutputs, AutomataCore.js)
+     are drawn "q / out" and "a / out"; Test and Simulate show the output
+     sequence. Convert, Minimize and Combine would drop the outputs, so they
+     are off for those machines
+   - Simulation and the subset construction are in AutomataCore.js (no DOM,
+     shared with the Node CLI and the worker); this file is the page around them
+   - Layout: layered / circular / physics, with freeze; past a few hundred
+     states subtrees are collapsed into groups that open on click (GraphLayout.js)
    - Visuals: accept = green border; non-accept = red border
 */
 
@@ -11,6 +35,9 @@
 let automaton = null;         // current displayed automaton (NFA or DFA)
 let originalNFA = null;       // hold original upload in case you want to reconvert
 let network = null;           // vis network
+let graphData = null;         // { nodes, edges } DataSets currently shown
+let graphView = null;         // collapseSubtrees() of the automaton shown
+let openGroups = [];          // groups opened by clicking them
 const container = document.getElementById("graph");
 
 // UI Helpers
@@ -20,11 +47,53 @@ const testBtn = document.getElementById("testBtn");
 const testInput = document.getElementById("testInput");
 const fileInput = document.getElementById("automatonFile");
 const testResult = document.getElementById("testResult");
-
-function setLoadedUI(enabled) {
-    convertBtn.disabled = !enabled;
+const simulateBtn = document.getElementById("simulateBtn");
+const batchBtn = document.getElementById("batchBtn");
+const languageBtn = document.getElementById("languageBtn");
+const regexInput = document.getElementById("regexInput");
+const regexAlphabet = document.getElementById("regexAlphabet");
+const regexBtn = document.getElementById("regexBtn");
+const minimizeBtn = document.getElementById("minimizeBtn");
+const showMerged = document.getElementById("showMerged");
+const deriveRegexBtn = document.getElementById("deriveRegexBtn");
+const explainBtn = document.getElementById("explainBtn");
+const editBtn = document.getElementById("editBtn");
+const exportFormat = document.getElementById("exportFormat");
+const exportBtn = document.getElementById("exportBtn");
+const fileInputB = document.getElementById("automatonFileB");
+const boolOp = document.getElementById("boolOp");
+const combineBtn = document.getElementById("combineBtn");
+const tokenMode = document.getElementById("tokenMode");
+const tokenSep = document.getElementById("tokenSep");
+const projectsBtn = document.getElementById("projectsBtn");
+const shareBtn = document.getElementById("shareBtn");
+const layoutMode = document.getElementById("layoutMode");
+const freezeLayout = document.getElementById("freezeLayout");
+const maxStates = document.getElementById("maxStates");
+const cancelBtn = document.getElementById("cancelBtn");
+
+const currentTokenizer = () => readTokenizer(tokenMode, tokenSep);
+
+function setControlsEnabled(enabled) {
+    const transducer = enabled && machineKind(automaton) !== null;
+    convertBtn.disabled = !enabled || transducer;
+    explainBtn.disabled = !enabled || transducer;
+    minimizeBtn.disabled = !enabled || transducer || !isDFA(automaton);
+    deriveRegexBtn.disabled = !enabled;
     testBtn.disabled = !enabled;
     testInput.disabled = !enabled;
+    simulateBtn.disabled = !enabled;
+    batchBtn.disabled = !enabled;
+    languageBtn.disabled = !enabled;
+    exportFormat.disabled = !enabled;
+    exportBtn.disabled = !enabled;
+    boolOp.disabled = !enabled || transducer;
+    combineBtn.disabled = !enabled || transducer;
+    shareBtn.disabled = !enabled;
+}
+
+function setLoadedUI(enabled) {
+    setControlsEnabled(enabled);
     if (!enabled) {
         testResult.textContent = "No automaton loaded.";
         testResult.classList.add("muted");
@@ -46,7 +115,7 @@ function buildNodes(a) {
         const isAccept = (a.accept || []).includes(s);
         return {
             id: s,
-            label: s,
+            label: stateLabel(a, s, "\n"),
             shape: "circle",
             borderWidth: 2,
             color: {
@@ -105,9 +174,10 @@ function buildEdges(a) {
         }
 
         arr.push({
+            id: `${e.from}→${e.to}`,
             from: e.from,
             to: e.to,
-            label: e.symbols.join(", "),
+            label: e.symbols.map((sym) => moveLabel(a, e.from, sym)).join(", "),
             arrows: { to: { enabled: true, type: "arrow", scaleFactor: 0.7 } },
             arrowStrikethrough: false,
             smooth,
@@ -120,6 +190,7 @@ function buildEdges(a) {
 
     if (a.start) {
         arr.push({
+            id: "__start",
             from: "__start",
             to: a.start,
             arrows: { to: { enabled: true, type: "arrow", scaleFactor: 0.75 } },
@@ -156,149 +227,623 @@ const networkOptions = {
     }
 };
 
+// What is drawn of `a`: large machines with their subtrees collapsed
+function viewNodes(a) {
+    graphView = collapseSubtrees(a, LAYOUT_NODE_LIMIT, openGroups);
+    return groupNodes(buildNodes(graphView.automaton).get(), graphView.groups);
+}
+
 function renderAutomaton(a) {
-    const nodes = buildNodes(a);
-    const edges = buildEdges(a);
+    stopConversion(); // its result would belong to the machine replaced
+    hidePanel();
+    openGroups = [];
+    const nodes = new vis.DataSet(viewNodes(a));
+    const edges = buildEdges(graphView.automaton);
+    graphData = { nodes, edges };
     if (!network) {
         network = new vis.Network(container, { nodes, edges }, networkOptions);
+        network.on("dragEnd", () => sessionStore.changed());
+        layout.listen();
     } else {
         network.setData({ nodes, edges });
     }
-}
-
-// Testing (NFA)
-function accepts(a, inputStr) {
-    // Reject if any symbol not in alphabet
-    const alpha = new Set(a.alphabet || []);
-    for (const ch of inputStr) {
-        if (!alpha.has(ch)) return { accepted: false, reason: `Symbol '${ch}' not in alphabet` };
+    layout.arrange(true);
+    sessionStore.changed();
+    if (Object.keys(graphView.groups).length) {
+        showPanel("Large automaton", make("p", { className: "muted" }, collapseNote(a.states.length, graphView.groups)));
     }
-    if (!a.start) return { accepted: false, reason: "No start state" };
-
-    // current set of states (NFA)
-    let current = new Set([a.start]);
+}
 
-    for (const ch of inputStr) {
-        const next = new Set();
-        for (const s of current) {
-            const moves = (((a.transitions || {})[s] || {})[ch]) || [];
-            for (const t of moves) next.add(t);
-        }
-        current = next;
-        if (current.size === 0) return { accepted: false, reason: "Dead configuration" };
+// Diff the shown DataSets against automaton `a` so the layout keeps its place
+function syncGraph(a, active = [], hot = []) {
+    const on = new Set(active);
+    const lit = new Set(hot);
+    const nodes = viewNodes(a).map((n) => on.has(n.id)
+        ? { ...n, color: { ...n.color, background: SIM_ACTIVE_BG }, borderWidth: 4 }
+        : n);
+    const edges = buildEdges(graphView.automaton).get().map((e) => lit.has(e.id)
+        ? { ...e, color: { color: SIM_TAKEN_EDGE }, width: 3 }
+        : e);
+
+    let reshaped = false; // states came or went: lay out again
+    for (const [ds, items] of [[graphData.nodes, nodes], [graphData.edges, edges]]) {
+        const keep = new Set(items.map((it) => it.id));
+        const gone = ds.getIds().filter((id) => !keep.has(id));
+        if (ds === graphData.nodes) reshaped = gone.length > 0 || items.some((it) => !ds.get(it.id));
+        ds.remove(gone);
+        ds.update(items);
     }
-
-    const acceptSet = new Set(a.accept || []);
-    const ok = [...current].some((s) => acceptSet.has(s));
-    return { accepted: ok, reason: ok ? "Reached an accept state" : "No accept state reached" };
+    if (reshaped) layout.arrange(false);
+    sessionStore.changed();
 }
 
-// NFA → DFA
-function nfaToDfa(nfa) {
-    const alphabet = nfa.alphabet || [];
-    const startSet = new Set([nfa.start]);
-
-    const keyOf = (set) => {
-        const arr = [...set];
-        arr.sort();
-        return arr.join(","); // "" represents empty set (we won't add it as a state)
-    };
-
-    const statesMap = new Map(); // key -> Set
-    const stack = [];
-    const startKey = keyOf(startSet);
-    statesMap.set(startKey, startSet);
-    stack.push(startSet);
-
-    const dfaTransitions = {};
-    const dfaAccept = new Set();
-
-    while (stack.length) {
-        const S = stack.pop();
-        const Skey = keyOf(S);
-        dfaTransitions[Skey] = dfaTransitions[Skey] || {};
-
-        for (const sym of alphabet) {
-            const T = new Set();
-            for (const q of S) {
-                const moves = (((nfa.transitions || {})[q] || {})[sym]) || [];
-                for (const t of moves) T.add(t);
-            }
-            const Tkey = keyOf(T);
-            // In DFA, each transition has exactly 1 target state
-            dfaTransitions[Skey][sym] = T.size ? [Tkey] : [];
-
-            if (T.size && !statesMap.has(Tkey)) {
-                statesMap.set(Tkey, T);
-                stack.push(T);
-            }
-        }
-    }
+const layout = createLayoutControls(layoutMode, freezeLayout, {
+    network: () => network,
+    nodes: () => graphData.nodes,
+    shown: () => graphView.automaton,
+    isGroup: (id) => !editor.isActive() && Object.hasOwn(graphView.groups, id),
+    expand: (id) => {
+        openGroups.push(id);
+        syncGraph(automaton);
+    },
+    changed: () => sessionStore.changed()
+});
 
-    // Accepting DFA states: any subset that intersects NFA accepts
-    const nfaAccept = new Set(nfa.accept || []);
-    for (const [k, set] of statesMap.entries()) {
-        if ([...set].some((s) => nfaAccept.has(s))) dfaAccept.add(k);
+// File loader 
+// Validate everything first; problems go to the side panel with optional fixes
+function loadAutomatonObject(obj) {
+    const problems = validateAutomaton(obj, { epsilon: true });
+    if (problems.length) {
+        showProblems("Automaton not loaded", problems, () => loadAutomatonObject(fixAutomaton(obj, { epsilon: true })));
+        setLoadedUI(false);
+        return;
     }
+    normalizeEpsilon(obj);
 
-    return {
-        states: [...statesMap.keys()],
-        alphabet: [...alphabet],
-        start: startKey,
-        accept: [...dfaAccept],
-        transitions: dfaTransitions
-    };
+    automaton = obj;
+    originalNFA = JSON.parse(JSON.stringify(obj)); // deep copy
+    editor.reset();
+    renderAutomaton(automaton);
+    setLoadedUI(true);
 }
 
-// File loader 
 loadBtn?.addEventListener("click", async () => {
     if (!fileInput || !fileInput.files || !fileInput.files[0]) {
-        alert("Please choose a .txt/.json file that contains the automaton JSON.");
+        alert("Please choose an automaton file (JSON, JFLAP .jff, DOT or a 'q0 a -> q1' transition list).");
         return;
     }
     try {
         const text = await fileInput.files[0].text();
-        const obj = JSON.parse(text);
+        loadAutomatonObject(importAutomaton(text).automaton);
+    } catch (err) {
+        console.error(err);
+        showProblems("Automaton not loaded", problemsFromError(err));
+        setLoadedUI(false);
+    }
+});
 
-        const required = ["states", "alphabet", "start", "accept", "transitions"];
-        for (const k of required) {
-            if (!(k in obj)) throw new Error(`Missing key '${k}'`);
-        }
-        if (!Array.isArray(obj.states) || !Array.isArray(obj.alphabet) || !Array.isArray(obj.accept))
-            throw new Error("states, alphabet, and accept must be arrays");
-        if ("epsilon" in obj) throw new Error("Epsilon transitions are not supported.");
+// Graph editor
+const editor = createEditor({
+    network: () => network,
+    get: () => automaton,
+    set: (a) => {
+        stopConversion();
+        automaton = a;
+        originalNFA = JSON.parse(JSON.stringify(a)); // deep copy
+        if (graphData) syncGraph(a);
+        else renderAutomaton(a);
+        setControlsEnabled(true);
+    }
+}, { epsilon: EPSILON });
 
-        automaton = obj;
-        originalNFA = JSON.parse(JSON.stringify(obj)); // deep copy
+editBtn?.addEventListener("click", () => {
+    hidePanel();
+    editor.toggle();
+});
+
+// Regex → NFA Listener
+regexBtn?.addEventListener("click", () => {
+    const src = regexInput.value || "";
+    if (!src.trim()) {
+        alert("Please type a regular expression.");
+        return;
+    }
+    try {
+        automaton = regexToNFA(src, regexAlphabet.value);
+        originalNFA = JSON.parse(JSON.stringify(automaton)); // deep copy
+        editor.reset();
         renderAutomaton(automaton);
         setLoadedUI(true);
     } catch (err) {
         console.error(err);
-        alert("Failed to load automaton: " + err.message);
-        setLoadedUI(false);
+        alert("Invalid regex: " + err.message);
     }
 });
 
+/* Subset construction in SubsetWorker.js, so a blow-up never hangs the page:
+   the result line counts the DFA states found, Cancel stops the worker, and
+   more than the maximum state count ends it with an error. Without workers
+   (file:// pages) it runs here, without progress. One conversion at a time:
+   starting another, or replacing the machine, stops the running one. */
+const DFA_STATE_LIMIT = 5000;
+let conversion = null;         // { cancel } while a conversion runs
+
+// Its caller gets null, as after Cancel
+function stopConversion() {
+    if (conversion) conversion.cancel();
+}
+
+function readMaxStates() {
+    const max = Math.floor(Number(maxStates.value));
+    return max > 0 ? max : DFA_STATE_LIMIT;
+}
+
+function showConversion(running) {
+    cancelBtn.hidden = !running;
+    if (running) {
+        convertBtn.disabled = true;
+        explainBtn.disabled = true;
+        minimizeBtn.disabled = true;
+    } else {
+        setControlsEnabled(true);
+    }
+}
+
+// → { dfa, log } or null when cancelled or failed (already reported)
+function runConversion(nfa, explain) {
+    stopConversion();
+    const request = { nfa, maxStates: readMaxStates(), explain };
+    const inline = () => {
+        const log = explain ? [] : undefined;
+        return { dfa: nfaToDfa(nfa, { log, maxStates: request.maxStates }), log };
+    };
+    let worker = null;
+    try {
+        worker = new Worker("JS/SubsetWorker.js");
+    } catch (e) {
+        worker = null;
+    }
+
+    return new Promise((resolve, reject) => {
+        if (!worker) return resolve(inline());
+        const job = { cancel: () => finish(() => resolve(null)) };
+        const finish = (fn) => {
+            worker.terminate();
+            if (conversion === job) conversion = null;
+            fn();
+        };
+        conversion = job;
+        worker.addEventListener("message", (e) => {
+            const msg = e.data;
+            if (msg.type === "progress") {
+                testResult.textContent = `Converting… ${msg.states} DFA states found`;
+                testResult.style.color = "";
+            } else if (msg.type === "done") {
+                finish(() => resolve({ dfa: msg.dfa, log: msg.log }));
+            } else {
+                finish(() => reject(new Error(msg.message)));
+            }
+        });
+        // a worker that cannot start: convert here instead
+        worker.addEventListener("error", (e) => {
+            e.preventDefault();
+            finish(() => {
+                try {
+                    resolve(inline());
+                } catch (err) {
+                    reject(err);
+                }
+            });
+        });
+        testResult.textContent = "Converting…";
+        testResult.classList.remove("muted");
+        testResult.style.color = "";
+        showConversion(true);
+        worker.postMessage(request);
+    }).then((result) => {
+        if (conversion) return result; // replaced by a newer conversion, which owns the UI
+        showConversion(false);
+        if (!result) {
+            testResult.textContent = "Conversion cancelled";
+            testResult.style.color = "#b63b3b";
+        } else {
+            testResult.textContent = "";
+        }
+        return result;
+    }, (e) => {
+        if (conversion) return null;
+        showConversion(false);
+        testResult.textContent = "";
+        alert("Conversion failed: " + e.message);
+        return null;
+    });
+}
+
+cancelBtn?.addEventListener("click", stopConversion);
+
 // Convert NFA → DFA Listener
-convertBtn?.addEventListener("click", () => {
+convertBtn?.addEventListener("click", async () => {
+    if (!automaton) return;
+    const nfa = automaton;
+    const result = await runConversion(nfa, false);
+    if (!result || automaton !== nfa) return;
+    automaton = result.dfa;
+    editor.reset();
+    renderAutomaton(automaton);
+    minimizeBtn.disabled = false;
+    testResult.textContent = `Converted to DFA ✔ (${automaton.states.length} states)`;
+    testResult.style.color = "#2e7d32";
+    setTimeout(() => (testResult.textContent = ""), 1200);
+});
+
+// Explain conversion: replay the subset construction one logged event at a time
+const subsetName = (key) => (key === "" ? "∅" : `{${key}}`);
+
+function describeEvent(e, nfaStart) {
+    if (e.type === "start") return `Start state = ε-closure({${nfaStart}}) = ${subsetName(e.key)}; push it.`;
+    if (e.type === "pop") return `Pop ${subsetName(e.key)} and compute its moves.`;
+    let text = `move(${subsetName(e.from)}, ${e.sym}) = ${subsetName(e.moved)}`;
+    if (e.moved !== e.key) text += `, ε-closure → ${subsetName(e.key)}`;
+    if (e.key === "") return text + " — no transition.";
+    return text + (e.discovered ? " — new DFA state, push it." : " — already discovered.");
+}
+
+// Partial DFA as known after events 0..upto, plus what to highlight
+function explainFrame(dfa, log, upto) {
+    const states = [];
+    const transitions = {};
+    let active = [];
+    let hot = [];
+
+    for (let i = 0; i <= upto; i++) {
+        const e = log[i];
+        if (e.type === "start" || (e.type === "move" && e.discovered)) {
+            states.push(e.key);
+            transitions[e.key] = {};
+        }
+        if (e.type === "move" && e.key !== "") transitions[e.from][e.sym] = [e.key];
+        if (i === upto) {
+            active = [e.type === "move" ? e.from : e.key];
+            hot = e.type === "move" && e.key !== "" ? [`${e.from}→${e.key}`] : [];
+        }
+    }
+
+    const accept = dfa.accept.filter((k) => k in transitions);
+    return { dfa: { states, alphabet: [...dfa.alphabet], start: dfa.start, accept, transitions }, active, hot };
+}
+
+explainBtn?.addEventListener("click", async () => {
+    if (!automaton) return;
+    const nfa = automaton;
+    const result = await runConversion(nfa, true);
+    if (!result || automaton !== nfa) return;
+    const { dfa, log } = result;
+
+    const root = make("div", { className: "sim" });
+    const status = make("div", { className: "sim-status" });
+    const tableHolder = make("div");
+
+    const stepper = createStepper(log.length, (index) => {
+        status.textContent = `Step ${index + 1} of ${log.length}: ${describeEvent(log[index], nfa.start)}`;
+
+        const frame = explainFrame(dfa, log, index);
+        syncGraph(frame.dfa, frame.active, frame.hot);
+
+        // rows appear in discovery order
+        const rows = frame.dfa.states.map((k) => [
+            subsetName(k),
+            ...nfa.alphabet.map((sym) => {
+                const done = log.slice(0, index + 1).find((e) => e.type === "move" && e.from === k && e.sym === sym);
+                return done ? subsetName(done.key) : "";
+            })
+        ]);
+        const table = makeTable(["DFA state", ...nfa.alphabet], rows);
+        [...table.querySelectorAll("tr")].slice(1).forEach((r, i) => {
+            r.classList.toggle("current", frame.active.includes(frame.dfa.states[i]));
+        });
+        tableHolder.replaceChildren(table);
+    });
+
+    root.append(stepper.controls, status, tableHolder);
+
+    // start from an empty canvas; the finished DFA replaces it on close
+    graphData.nodes.clear();
+    graphData.edges.clear();
+    automaton = dfa;
+    editor.reset();
+    minimizeBtn.disabled = false;
+    showPanel("Subset construction", root, () => {
+        stepper.stop();
+        renderAutomaton(automaton);
+    });
+    stepper.go(0);
+});
+
+// Minimize DFA Listener
+minimizeBtn?.addEventListener("click", () => {
     if (!automaton) return;
     try {
-        const dfa = nfaToDfa(automaton);
+        const before = automaton.states.length;
+        const { dfa, blocks } = minimizeDFA(automaton);
         automaton = dfa;
+        editor.reset();
         renderAutomaton(automaton);
-        testResult.textContent = "Converted to DFA ✔";
+
+        if (showMerged.checked) {
+            const rows = dfa.states.map((s) => [s, blocks[s].join("  |  ")]);
+            showPanel(`Minimal DFA: ${before} → ${dfa.states.length} states`, makeTable(["State", "Merged from"], rows));
+        } else {
+            hidePanel();
+        }
+
+        testResult.textContent = "Minimized DFA ✔";
         testResult.style.color = "#2e7d32";
         setTimeout(() => (testResult.textContent = ""), 1200);
     } catch (e) {
-        alert("Conversion failed: " + e.message);
+        alert("Minimization failed: " + e.message);
     }
 });
 
+/* Derive Regex: state elimination (AutomatonToRegex.js) on the machine shown.
+   Animated, the graph becomes the generalized NFA before each elimination:
+   the same states plus the fresh start and final, every edge labelled with
+   its regex fragment; closing the panel draws the machine again */
+const REGEX_ORDER_LABELS = { fewest: "fewest paths first", states: "state order", reverse: "reverse state order" };
+
+// One traced step of deriveRegex() as an automaton buildEdges() can draw
+function eliminationFrame(a, result, step) {
+    const touched = new Set(step.edges.flatMap(([from, to]) => [from, to]));
+    const states = [result.start, ...a.states.filter((s) => touched.has(s)), result.final];
+    const transitions = {};
+    for (const [from, to, regex] of step.edges) {
+        const row = (transitions[from] = transitions[from] || {});
+        (row[regex] = row[regex] || []).push(to);
+    }
+    return { states, alphabet: [...a.alphabet], start: result.start, accept: [result.final], transitions };
+}
+
+function describeElimination(result, step) {
+    const q = step.state;
+    if (q === null) return `Only ${result.start} and ${result.final} are left: the label of ${result.start} → ${result.final} is the expression.`;
+    return `Eliminate ${q}: every path p → ${q} → r becomes one edge p → r labelled R(p,${q}) R(${q},${q})* R(${q},r), united with R(p,r).`;
+}
+
+function openRegexPanel(a) {
+    const root = make("div", { className: "sim" });
+    const orderSelect = make("select", { title: "Which state to eliminate next" });
+    for (const order of REGEX_ORDERS) orderSelect.append(make("option", { value: order }, REGEX_ORDER_LABELS[order]));
+    const orderInput = make("input", { type: "text", placeholder: "or states, e.g. q2,q0", title: "Eliminate these states first, in this order" });
+    const animateBox = make("input", { type: "checkbox" });
+    const animateLabel = make("label", { className: "toggle" });
+    animateLabel.append(animateBox, " animate");
+    const deriveBtn = make("button", {}, "Derive");
+    const controls = make("div", { className: "sim-controls" });
+    controls.append(make("span", { className: "muted" }, "order"), orderSelect, orderInput, animateLabel, deriveBtn);
+    const results = make("div");
+
+    let stepper = null;
+    function stopAnimation() {
+        if (!stepper) return;
+        stepper.stop();
+        stepper = null;
+        syncGraph(a);
+    }
+
+    function derive() {
+        stopAnimation();
+        const custom = orderInput.value.split(",").map((s) => s.trim()).filter(Boolean);
+        let result;
+        try {
+            result = deriveRegex(a, { order: custom.length ? custom : orderSelect.value, trace: animateBox.checked });
+        } catch (e) {
+            alert("Derivation failed: " + e.message);
+            return;
+        }
+
+        // Build from Regex reads one character per symbol
+        const readable = a.alphabet.every((sym) => [...sym].length === 1);
+        const useBtn = make("button", { className: "ghost", title: "Copy into the regex box, ready for Build from Regex" }, "Put in the regex box");
+        useBtn.disabled = result.regex === EMPTY_REGEX || !readable;
+        useBtn.addEventListener("click", () => {
+            regexInput.value = result.regex;
+            regexAlphabet.value = a.alphabet.join(",");
+        });
+        const items = [
+            make("div", { className: "sim-status" }, result.regex === EMPTY_REGEX ? "The language is empty:" : "Regular expression:"),
+            make("div", { className: "sim-output" }, result.regex),
+            useBtn
+        ];
+        if (!readable) {
+            items.push(make("p", { className: "muted" }, "Symbols longer than one character are separated by spaces here. Build from Regex reads one character per symbol, so it cannot read this expression back."));
+        }
+        if (machineKind(a)) items.push(make("p", { className: "muted" }, "The outputs are left out: the expression describes the accepted inputs."));
+        if (result.dropped.length) {
+            items.push(make("p", { className: "muted" }, `Not on any path from the start to an accept state, so left out: ${result.dropped.join(", ")}.`));
+        }
+        if (result.order.length) {
+            items.push(make("div", { className: "sim-status" }, "Elimination order"),
+                makeTable(["#", "State"], result.order.map((s, i) => [String(i + 1), s])));
+        }
+
+        if (result.steps.length) {
+            const status = make("div", { className: "sim-status" });
+            const tableHolder = make("div");
+            stepper = createStepper(result.steps.length, (index) => {
+                const step = result.steps[index];
+                status.textContent = `Step ${index + 1} of ${result.steps.length}: ${describeElimination(result, step)}`;
+                const hot = step.edges
+                    .filter(([from, to]) => step.state === null || from === step.state || to === step.state)
+                    .map(([from, to]) => `${from}→${to}`);
+                syncGraph(eliminationFrame(a, result, step), step.state === null ? [] : [step.state], hot);
+                tableHolder.replaceChildren(makeTable(["From", "To", "Regex"], step.edges));
+            });
+            items.push(make("div", { className: "sim-status" }, "State elimination"), stepper.controls, status, tableHolder);
+        }
+        results.replaceChildren(...items);
+        if (stepper) stepper.go(0);
+    }
+    deriveBtn.addEventListener("click", derive);
+
+    root.append(controls, results);
+    showPanel("Derive Regex", root, () => {
+        if (stepper) stepper.stop();
+        if (stepper && automaton === a) syncGraph(a);
+    });
+    derive();
+}
+
+deriveRegexBtn?.addEventListener("click", () => {
+    if (!automaton) return;
+    hidePanel(); // let any open panel restore the graph first
+    openRegexPanel(automaton);
+});
+
+// Boolean operations Listener: A is the current automaton, B comes from the second file input
+combineBtn?.addEventListener("click", async () => {
+    if (!automaton) return;
+    const op = boolOp.value;
+    let result;
+    let label;
+    let failure = "Complement failed"; // panel title for an error at this step
+    try {
+        if (op === "complement") {
+            result = complementDFA(automaton, { maxStates: readMaxStates() });
+            label = "¬A";
+        } else {
+            if (!fileInputB || !fileInputB.files || !fileInputB.files[0]) {
+                alert("Please choose the second automaton (B) first.");
+                return;
+            }
+            failure = "Automaton B not loaded";
+            const other = importAutomaton(await fileInputB.files[0].text()).automaton;
+            const problems = validateAutomaton(other, { epsilon: true });
+            if (problems.length) {
+                showProblems("Automaton B not loaded", problems);
+                return;
+            }
+            normalizeEpsilon(other);
+            failure = `${BOOLEAN_OPS[op].label} failed`;
+            result = productDFA(automaton, other, op, { maxStates: readMaxStates() });
+            label = BOOLEAN_OPS[op].label;
+        }
+    } catch (err) {
+        console.error(err);
+        showProblems(failure, problemsFromError(err));
+        return;
+    }
+
+    automaton = result;
+    originalNFA = JSON.parse(JSON.stringify(result)); // deep copy
+    editor.reset();
+    renderAutomaton(automaton);
+    setControlsEnabled(true);
+    testResult.textContent = `${label}: ${result.states.length} states ✔`;
+    testResult.style.color = "#2e7d32";
+    setTimeout(() => (testResult.textContent = ""), 1400);
+});
+
+// Separator box only matters in separator mode
+tokenMode?.addEventListener("change", () => {
+    tokenSep.hidden = tokenMode.value !== "separator";
+    sessionStore.changed();
+});
+
 // String tester Listener 
 testBtn?.addEventListener("click", () => {
     if (!automaton) return;
-    const s = (testInput.value || "").trim();
-    const { accepted, reason } = accepts(automaton, s);
+    const s = testInput.value || ""; // verbatim: whitespace can be a symbol
+    if (machineKind(automaton)) {
+        const { outputs, finished, reason } = transduce(automaton, s, currentTokenizer());
+        const shown = outputs.length ? outputs.join(" · ") : "(nothing)";
+        testResult.textContent = finished ? `OUTPUT ▶ ${shown}` : `OUTPUT ▶ ${shown} — stopped: ${reason}`;
+        testResult.style.color = finished ? "#2e7d32" : "#b63b3b";
+        return;
+    }
+    const { accepted, reason } = accepts(automaton, s, currentTokenizer());
     testResult.textContent = accepted ? `ACCEPT ✅ — ${reason}` : `REJECT ❌ — ${reason}`;
     testResult.style.color = accepted ? "#2e7d32" : "#b63b3b";
 });
+
+// Batch testing Listener
+batchBtn?.addEventListener("click", () => {
+    if (!automaton) return;
+    openBatchPanel((s) => accepts(automaton, s, currentTokenizer()), isDFA(automaton) ? "dfa" : "nfa");
+});
+
+// Language Listener: enumeration works on the determinized machine, converted
+// like Convert does (worker, state limit, Cancel)
+languageBtn?.addEventListener("click", async () => {
+    if (!automaton) return;
+    const a = automaton;
+    let dfa = a;
+    if (!isDFA(a)) {
+        const result = await runConversion(a, false);
+        if (!result || automaton !== a) return;
+        dfa = result.dfa;
+    }
+    openLanguagePanel(dfa, currentTokenizer());
+});
+
+// Export Listener
+exportBtn?.addEventListener("click", () => {
+    if (!automaton) return;
+    try {
+        const name = isDFA(automaton) ? "dfa" : "nfa";
+        exportAutomaton(exportFormat.value, automaton, network, container, name);
+    } catch (e) {
+        alert("Export failed: " + e.message);
+    }
+});
+
+// Step-by-step simulation Listener
+simulateBtn?.addEventListener("click", () => {
+    if (!automaton || !graphData) return;
+    hidePanel(); // let any open panel restore the graph first
+    const s = testInput.value || "";
+    const run = machineKind(automaton) ? transduce : simulate;
+    openSimulation(run(automaton, s, currentTokenizer()), createHighlighter(graphData.nodes, graphData.edges), s);
+});
+
+// Sessions: autosave, named projects and share links (Persist.js)
+const sessionStore = createSessionStore("nfa", {
+    // an emptied canvas (Edit Graph with nothing loaded) is not worth keeping
+    capture: () => (automaton?.states.length ? {
+        automaton,
+        originalNFA,
+        tokenizer: currentTokenizer(),
+        positions: capturePositions(network)
+    } : null),
+    restore: (session) => {
+        // older autosaves may hold such a canvas, with start: null
+        if (Array.isArray(session.automaton?.states) && !session.automaton.states.length) return false;
+        for (const a of [session.automaton, session.originalNFA || session.automaton]) {
+            const problems = validateAutomaton(a, { epsilon: true });
+            if (problems.length) throw new Error(problems.map((p) => `${p.path}: ${p.message}`).join("\n"));
+            normalizeEpsilon(a);
+        }
+        const problems = session.tokenizer ? validateTokenizer(session.tokenizer, "$.tokenizer") : [];
+        if (problems.length) throw new Error(problems.map((p) => `${p.path}: ${p.message}`).join("\n"));
+        automaton = session.automaton;
+        originalNFA = session.originalNFA || JSON.parse(JSON.stringify(automaton)); // deep copy
+        editor.reset();
+        if (session.tokenizer) {
+            tokenMode.value = session.tokenizer.mode;
+            tokenSep.value = session.tokenizer.separator === " " ? "" : session.tokenizer.separator;
+            tokenSep.hidden = tokenMode.value !== "separator";
+        }
+        renderAutomaton(automaton);
+        applyPositions(graphData.nodes, session.positions);
+        layout.settle();
+        setLoadedUI(true);
+    }
+});
+
+projectsBtn?.addEventListener("click", () => openProjectsPanel(sessionStore));
+shareBtn?.addEventListener("click", () => openSharePanel(sessionStore));
+
+sessionStore.restoreOnLoad().then((from) => {
+    if (from) testResult.textContent = from === "link" ? "Shared automaton opened ✔" : "Last session restored ✔";
+}).catch((err) => {
+    console.error(err);
+    showProblems("Saved session not restored", problemsFromError(err));
+});
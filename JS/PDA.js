@@ -0,0 +1,298 @@
+/* Pushdown automaton simulator (Plain JS + vis-network)
+   - Load a PDA in the JSON format of PDACore.js (see ExamplePDA.json); it is
+     validated first, problems go to the side panel with optional fixes
+   - Transitions are drawn "a, X → YZ" (read a, pop X, push YZ with Y on top),
+     one line per move, grouped per "from→to" like the NFA tool's buildEdges
+   - Test String runs the breadth-first configuration search (nondeterministic,
+     accept by final state or by empty stack, up to the step limit);
+     Simulate replays the run found step by step with the stack beside it
+   - Visuals: accept = green border; non-accept = red border
+*/
+
+// State
+let pda = null;               // current PDA, normalized (PDACore.js)
+let network = null;           // vis network
+let graphData = null;         // { nodes, edges } DataSets currently shown
+const container = document.getElementById("graph");
+
+// UI Helpers
+const fileInput = document.getElementById("pdaFile");
+const loadBtn = document.getElementById("loadBtn");
+const acceptBy = document.getElementById("acceptBy");
+const stepLimit = document.getElementById("stepLimit");
+const exportBtn = document.getElementById("exportBtn");
+const tokenMode = document.getElementById("tokenMode");
+const tokenSep = document.getElementById("tokenSep");
+const testInput = document.getElementById("testInput");
+const testBtn = document.getElementById("testBtn");
+const simulateBtn = document.getElementById("simulateBtn");
+const testResult = document.getElementById("testResult");
+
+function setControlsEnabled(enabled) {
+    acceptBy.disabled = !enabled;
+    exportBtn.disabled = !enabled;
+    testInput.disabled = !enabled;
+    testBtn.disabled = !enabled;
+    simulateBtn.disabled = !enabled;
+}
+
+// Search options from the toolbar; a bad limit falls back to the default
+function runOptions() {
+    const limit = Math.floor(Number(stepLimit.value));
+    return {
+        tokenizer: readTokenizer(tokenMode, tokenSep),
+        acceptBy: acceptBy.value,
+        limit: limit > 0 ? limit : PDA_STEP_LIMIT
+    };
+}
+
+// Graph rendering
+function buildNodes(a) {
+    const acceptSet = new Set(a.accept);
+    const arr = a.states.map((s) => ({
+        id: s,
+        label: s,
+        shape: "circle",
+        borderWidth: 2,
+        color: {
+            background: "#ffffff",
+            border: acceptSet.has(s) ? "#2e7d32" : "#b63b3b"
+        },
+        font: { face: "Inter, system-ui, sans-serif", size: 14 }
+    }));
+
+    arr.push({
+        id: "__start",
+        label: "",
+        shape: "dot",
+        size: 5,
+        color: { background: "#aaaaaa", border: "#666" },
+        physics: true
+    });
+
+    return new vis.DataSet(arr);
+}
+
+function buildEdges(a) {
+    const grouped = new Map(); // "from→to" => {from,to,labels[], self}
+
+    for (const [from, bySym] of Object.entries(a.transitions)) {
+        for (const [sym, moves] of Object.entries(bySym)) {
+            for (const move of moves) {
+                const k = `${from}→${move.to}`;
+                if (!grouped.has(k)) grouped.set(k, { from, to: move.to, labels: [], self: from === move.to });
+                grouped.get(k).labels.push(pdaMoveLabel(sym, move, a.stackAlphabet));
+            }
+        }
+    }
+
+    const arr = [];
+    for (const e of grouped.values()) {
+        let smooth, length;
+        if (e.self) {
+            smooth = { enabled: true, type: "curvedCW", roundness: 0.72 };
+            length = 90;
+        } else {
+            const forward = e.from < e.to;
+            smooth = {
+                enabled: true,
+                type: forward ? "curvedCW" : "curvedCCW",
+                roundness: forward ? 0.62 : 0.12,
+                forceDirection: "horizontal"
+            };
+            length = forward ? 260 : 210;
+        }
+
+        arr.push({
+            id: `${e.from}→${e.to}`,
+            from: e.from,
+            to: e.to,
+            label: e.labels.join("\n"),
+            arrows: { to: { enabled: true, type: "arrow", scaleFactor: 0.7 } },
+            arrowStrikethrough: false,
+            smooth,
+            length,
+            color: { color: "#000000" },
+            font: { align: "top" },
+            width: 1.4
+        });
+    }
+
+    arr.push({
+        id: "__start",
+        from: "__start",
+        to: a.start,
+        arrows: { to: { enabled: true, type: "arrow", scaleFactor: 0.75 } },
+        color: { color: "#555" },
+        width: 1.2,
+        label: "start",
+        font: { vadjust: -6, ital: true },
+        smooth: { enabled: true, type: "curvedCCW", roundness: 0.45 },
+        length: 200
+    });
+
+    return new vis.DataSet(arr);
+}
+
+const networkOptions = {
+    interaction: { hover: false, keyboard: false, selectable: false },
+    nodes: { chosen: false },
+    edges: {
+        chosen: false,
+        arrows: { to: { enabled: true, type: "arrow", scaleFactor: 0.7 } },
+        arrowStrikethrough: false,
+        color: { color: "#000000" },
+        smooth: { enabled: true }
+    },
+    physics: {
+        enabled: true,
+        solver: "repulsion",
+        repulsion: {
+            nodeDistance: 300,
+            springLength: 230,
+            damping: 0.55
+        }
+    }
+};
+
+function renderPDA(a) {
+    hidePanel();
+    const nodes = buildNodes(a);
+    const edges = buildEdges(a);
+    graphData = { nodes, edges };
+    if (!network) {
+        network = new vis.Network(container, { nodes, edges }, networkOptions);
+    } else {
+        network.setData({ nodes, edges });
+    }
+}
+
+// File loader
+// Validate everything first; problems go to the side panel with optional fixes
+function loadPDAObject(obj) {
+    const problems = validatePDA(obj);
+    if (problems.length) {
+        showProblems("PDA not loaded", problems, () => loadPDAObject(fixPDA(obj)));
+        return;
+    }
+    pda = normalizePDA(obj);
+    acceptBy.value = pda.acceptBy;
+    renderPDA(pda);
+    setControlsEnabled(true);
+    testResult.textContent = "PDA loaded ✔";
+    testResult.classList.remove("muted");
+    testResult.style.color = "";
+}
+
+loadBtn?.addEventListener("click", async () => {
+    if (!fileInput || !fileInput.files || !fileInput.files[0]) {
+        alert("Please choose a PDA file (.json or .txt in JSON format).");
+        return;
+    }
+    try {
+        loadPDAObject(JSON.parse(await fileInput.files[0].text()));
+    } catch (err) {
+        console.error(err);
+        showProblems("PDA not loaded", problemsFromError(err));
+    }
+});
+
+// Separator box only matters in separator mode
+tokenMode?.addEventListener("change", () => {
+    tokenSep.hidden = tokenMode.value !== "separator";
+});
+
+function describeResult(result) {
+    const verdict = result.accepted ? `ACCEPT ✅ — ${result.reason}` : `REJECT ❌ — ${result.reason}`;
+    if (!result.explored) return verdict;
+    return `${verdict} (${result.explored} configuration${result.explored === 1 ? "" : "s"} explored)`;
+}
+
+// String tester Listener
+testBtn?.addEventListener("click", () => {
+    if (!pda) return;
+    const result = simulatePDA(pda, testInput.value || "", runOptions());
+    testResult.textContent = describeResult(result);
+    testResult.style.color = result.accepted ? "#2e7d32" : "#b63b3b";
+});
+
+// Stack column, top first
+function renderStack(holder, stack) {
+    const cells = [...stack].reverse().map((sym, i) => make("div", { className: i === 0 ? "pda-stack-cell top" : "pda-stack-cell" }, sym));
+    holder.replaceChildren(make("div", { className: "pda-stack-label" }, stack.length ? "stack (top first)" : "stack empty"), ...cells);
+}
+
+// Replay the run found by the search: tape, stack, trace table, graph highlight
+function openPDASimulation(result, highlighter, input) {
+    const { symbols, path } = result;
+
+    const root = make("div", { className: "sim" });
+    const tape = make("div", { className: "sim-tape" });
+    const consumedSpan = make("span", { className: "sim-consumed" });
+    const remainingSpan = make("span", { className: "sim-remaining" });
+    tape.append(consumedSpan, remainingSpan);
+    const stackView = make("div", { className: "pda-stack" });
+    const status = make("div", { className: "sim-status" });
+
+    const table = makeTable(
+        ["#", "Move", "State", "Stack"],
+        path.map((step, i) => [
+            String(i),
+            i === 0 ? "—" : pdaMoveLabel(step.move.symbol, step.move, pda.stackAlphabet),
+            step.state,
+            formatStack([...step.stack].reverse(), pda.stackAlphabet)
+        ])
+    );
+    const rows = [...table.querySelectorAll("tr")].slice(1);
+
+    const stepper = createStepper(path.length, (index) => {
+        const step = path[index];
+        const consumed = formatWord(symbols.slice(0, step.consumed));
+        const remaining = formatWord(symbols.slice(step.consumed));
+        const spaced = !symbols.every(isSingleCodePoint) && consumed && remaining;
+        consumedSpan.textContent = consumed;
+        remainingSpan.textContent = (spaced ? " " : "") + remaining;
+        if (!symbols.length) remainingSpan.textContent = "ε";
+        renderStack(stackView, step.stack);
+
+        if (index === path.length - 1) {
+            status.textContent = describeResult(result);
+            status.style.color = result.accepted ? "#2e7d32" : "#b63b3b";
+        } else {
+            status.textContent = `Step ${index} of ${path.length - 1}`;
+            status.style.color = "";
+        }
+
+        rows.forEach((r, i) => r.classList.toggle("current", i === index));
+        highlighter.show([step.state], step.move ? [`${step.move.from}→${step.move.to}`] : []);
+    });
+
+    const note = result.accepted ? "Shortest accepting run" : "No accepting run — showing the branch that read the most input";
+    root.append(make("div", { className: "muted" }, note), tape, stackView, stepper.controls, status, table);
+
+    showPanel(`Simulating "${input}"`, root, () => {
+        stepper.stop();
+        highlighter.clear();
+    });
+    stepper.go(0);
+}
+
+// Step-by-step simulation Listener
+simulateBtn?.addEventListener("click", () => {
+    if (!pda || !graphData) return;
+    hidePanel();
+    const s = testInput.value || "";
+    const result = simulatePDA(pda, s, runOptions());
+    if (!result.path.length) {
+        testResult.textContent = describeResult(result);
+        testResult.style.color = "#b63b3b";
+        return;
+    }
+    openPDASimulation(result, createHighlighter(graphData.nodes, graphData.edges), s);
+});
+
+// Export Listener: the file format, with the acceptance mode chosen here
+exportBtn?.addEventListener("click", () => {
+    if (!pda) return;
+    downloadText("pda.json", pdaToJSON({ ...pda, acceptBy: acceptBy.value }), "application/json");
+});
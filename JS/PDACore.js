@@ -0,0 +1,179 @@
+/* Pushdown automata without any DOM: a <script> for PDA.html and a CommonJS
+   module for Node (test/)
+   - JSON, the NFA format plus a stack:
+       { states, alphabet, stackAlphabet, start, startStack, accept, acceptBy?,
+         transitions: { state: { symbol | "ε": [{ pop, push, to }] } } }
+     pop  : stack symbol that must be on top and is removed ("ε": stack untouched)
+     push : stack symbols put back, top first: "AZ" leaves A on top of Z;
+            "" or "ε" pushes nothing, an array lists multi-character symbols
+     acceptBy : "final" (default, accept state after the whole input) or
+                "empty" (empty stack after the whole input)
+   - simulatePDA: breadth-first search over configurations (state, input read,
+     stack), so every nondeterministic branch advances in turn and the first
+     accepting run found is a shortest one; stops after a step limit because
+     ε-moves may push forever
+*/
+
+// Node: the helpers the pages load as separate <script>s
+if (typeof module === "object" && module.exports) Object.assign(globalThis, require("./Tokenize.js"), require("./AutomataCore.js"));
+
+const PDA_STEP_LIMIT = 10000; // configurations explored per run
+const PDA_ACCEPT_MODES = ["final", "empty"];
+const STACK_EPSILONS = [EPSILON, ""];
+
+// A move's push as stack symbols, top first → { symbols, error }
+function stackSymbols(push, stackAlphabet) {
+    if (Array.isArray(push)) return { symbols: push.filter((x) => !STACK_EPSILONS.includes(x)), error: null };
+    if (typeof push !== "string") return { symbols: [], error: "push must be a string or an array of stack symbols" };
+    if (STACK_EPSILONS.includes(push)) return { symbols: [], error: null };
+    return tokenize(push, stackAlphabet);
+}
+
+/* ε-moves under EPSILON (every spelling normalizeEpsilon knows), pops of ""
+   written as EPSILON, pushes as arrays; call after validatePDA */
+function normalizePDA(pda) {
+    normalizeEpsilon(pda);
+    for (const bySym of Object.values(pda.transitions)) {
+        for (const moves of Object.values(bySym)) {
+            for (const move of moves) {
+                if (move.pop === "") move.pop = EPSILON;
+                move.push = stackSymbols(move.push, pda.stackAlphabet).symbols;
+            }
+        }
+    }
+    if (!pda.acceptBy) pda.acceptBy = "final";
+    return pda;
+}
+
+// Whether the symbols can be written as one string ("AZ") that reads back the
+// same: not with multi-character symbols, nor when "AB" is itself a symbol
+function joinsBack(symbols, stackAlphabet) {
+    if (!symbols.every(isSingleCodePoint)) return false;
+    const back = stackSymbols(symbols.join(""), stackAlphabet).symbols;
+    return back.length === symbols.length && back.every((x, i) => x === symbols[i]);
+}
+
+// Stack contents for display, top first; spaced apart unless joinsBack
+function formatStack(symbols, stackAlphabet) {
+    if (!symbols.length) return "ε";
+    return joinsBack(symbols, stackAlphabet) ? symbols.join("") : symbols.join(" ");
+}
+
+// "a, X → YZ", the usual PDA edge label
+function pdaMoveLabel(symbol, move, stackAlphabet) {
+    return `${symbol}, ${move.pop} → ${formatStack(move.push, stackAlphabet)}`;
+}
+
+/* opts: { tokenizer, acceptBy (overrides the file's), limit }
+   → { symbols, accepted, reason, explored, limitHit, path }
+   path: the accepting run, or the one that read the most input when there is
+   none; each step is { state, consumed, stack (bottom first), move } where
+   move = { from, to, symbol, pop, push } led there (null for the start) */
+function simulatePDA(pda, inputStr, opts = {}) {
+    const limit = opts.limit || PDA_STEP_LIMIT;
+    const acceptBy = opts.acceptBy || pda.acceptBy || "final";
+    const { symbols, error } = tokenize(inputStr, pda.alphabet, opts.tokenizer || DEFAULT_TOKENIZER);
+    const done = (accepted, reason, explored = 0, limitHit = false, last = null) => ({
+        symbols, accepted, reason, explored, limitHit, path: pathTo(last)
+    });
+    if (error) return done(false, error);
+    const alpha = new Set(pda.alphabet);
+    for (const ch of symbols) {
+        if (!alpha.has(ch)) return done(false, `Symbol '${ch}' not in alphabet`);
+    }
+
+    const acceptSet = new Set(pda.accept);
+    const isAccepting = (c) => c.consumed === symbols.length &&
+        (acceptBy === "empty" ? c.stack.length === 0 : acceptSet.has(c.state));
+    // configurations are compared by value: the stack can only be told apart whole
+    const keyOf = (c) => `${c.state}\u0000${c.consumed}\u0000${c.stack.join("\u0001")}`;
+
+    const start = { state: pda.start, consumed: 0, stack: [pda.startStack], move: null, parent: null };
+    const queue = [start];
+    const seen = new Set([keyOf(start)]);
+    let furthest = start;
+
+    for (let head = 0; head < queue.length; head++) {
+        if (head === limit) {
+            return done(false, `Step limit reached: ${limit} configurations explored without an accepting run`, head, true, furthest);
+        }
+        const c = queue[head];
+        if (isAccepting(c)) {
+            const reason = acceptBy === "empty" ? "Input read with an empty stack" : "Reached an accept state";
+            return done(true, reason, head + 1, false, c);
+        }
+        if (c.consumed > furthest.consumed) furthest = c;
+
+        const top = c.stack[c.stack.length - 1];
+        const options = [[EPSILON, 0]];
+        if (c.consumed < symbols.length) options.push([symbols[c.consumed], 1]);
+        for (const [symbol, step] of options) {
+            for (const move of ((pda.transitions[c.state] || {})[symbol]) || []) {
+                if (move.pop !== EPSILON && move.pop !== top) continue;
+                const stack = move.pop === EPSILON ? [...c.stack] : c.stack.slice(0, -1);
+                for (let i = move.push.length - 1; i >= 0; i--) stack.push(move.push[i]);
+                const next = {
+                    state: move.to,
+                    consumed: c.consumed + step,
+                    stack,
+                    move: { from: c.state, to: move.to, symbol, pop: move.pop, push: move.push },
+                    parent: c
+                };
+                const key = keyOf(next);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                queue.push(next);
+            }
+        }
+    }
+    const reason = acceptBy === "empty" ? "No run reads the input and empties the stack" : "No run reaches an accept state";
+    return done(false, reason, queue.length, false, furthest);
+}
+
+function pathTo(config) {
+    const path = [];
+    for (let c = config; c; c = c.parent) {
+        path.push({ state: c.state, consumed: c.consumed, stack: c.stack, move: c.move });
+    }
+    return path.reverse();
+}
+
+// Same field order as the file format; pushes written back as "AZ" when that
+// reads back as the same symbols, as an array otherwise
+function pdaToJSON(pda) {
+    const transitions = {};
+    for (const [from, bySym] of Object.entries(pda.transitions)) {
+        transitions[from] = {};
+        for (const [sym, moves] of Object.entries(bySym)) {
+            transitions[from][sym] = moves.map((m) => ({
+                pop: m.pop,
+                push: joinsBack(m.push, pda.stackAlphabet) ? m.push.join("") : [...m.push],
+                to: m.to
+            }));
+        }
+    }
+    return JSON.stringify({
+        states: [...pda.states],
+        alphabet: [...pda.alphabet],
+        stackAlphabet: [...pda.stackAlphabet],
+        start: pda.start,
+        startStack: pda.startStack,
+        accept: [...pda.accept],
+        acceptBy: pda.acceptBy || "final",
+        transitions
+    }, null, 4);
+}
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        PDA_STEP_LIMIT,
+        PDA_ACCEPT_MODES,
+        stackSymbols,
+        normalizePDA,
+        formatStack,
+        pdaMoveLabel,
+        simulatePDA,
+        pdaToJSON
+    };
+}
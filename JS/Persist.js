@@ -0,0 +1,242 @@
+/* Work sessions in browser storage, and share links (shared by both tools)
+   - A session is whatever the page's host.capture() returns (machines,
+     tokenizer, node positions); host.restore(session) puts it back
+   - Autosave: "automata:<page>:autosave" in localStorage, written shortly
+     after every change and when the page is left; restored on load
+   - Projects: named snapshots under "automata:<page>:projects"
+       → { name: { saved: ISO date, session } }
+   - Share link: session JSON → deflate (CompressionStream) → base64url in the
+     URL fragment, "#s=…". The fragment never reaches a server; opening the
+     link restores the session and wins over the autosave
+*/
+
+const SHARE_PREFIX = "#s=";
+const AUTOSAVE_DELAY_MS = 800;
+
+function bytesToBase64url(bytes) {
+    let text = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(text).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64urlToBytes(text) {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, stream) {
+    return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+async function encodeSession(session) {
+    const json = new TextEncoder().encode(JSON.stringify(session));
+    return bytesToBase64url(await pipeBytes(json, new CompressionStream("deflate-raw")));
+}
+
+async function decodeSession(text) {
+    const json = await pipeBytes(base64urlToBytes(text), new DecompressionStream("deflate-raw"));
+    return JSON.parse(new TextDecoder().decode(json));
+}
+
+// Node positions as drawn, so a restored graph keeps its layout
+function capturePositions(network) {
+    if (!network) return {};
+    const positions = network.getPositions();
+    delete positions.__start;
+    return positions;
+}
+
+function applyPositions(nodes, positions) {
+    if (!positions) return;
+    nodes.update(Object.entries(positions)
+        .filter(([id]) => nodes.get(id))
+        .map(([id, { x, y }]) => ({ id, x, y })));
+}
+
+/* page: storage namespace ("nfa", "dafsa")
+   host: { capture() → session | null,
+           restore(session) (may throw; false: nothing in it to show) } */
+function createSessionStore(page, host) {
+    const autosaveKey = `automata:${page}:autosave`;
+    const projectsKey = `automata:${page}:projects`;
+    let timer = null;
+
+    function readJSON(key, fallback) {
+        try {
+            const text = localStorage.getItem(key);
+            return text === null ? fallback : JSON.parse(text);
+        } catch (err) {
+            console.warn(`Ignoring unreadable ${key}`, err);
+            return fallback;
+        }
+    }
+
+    // Storage may be full or disabled; losing an autosave must not break the page
+    function writeJSON(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (err) {
+            console.warn(`Could not write ${key}`, err);
+            return false;
+        }
+    }
+
+    function saveNow() {
+        clearTimeout(timer);
+        timer = null;
+        const session = host.capture();
+        if (session) writeJSON(autosaveKey, session);
+    }
+
+    return {
+        // call after every change; writes are batched
+        changed() {
+            clearTimeout(timer);
+            timer = setTimeout(saveNow, AUTOSAVE_DELAY_MS);
+        },
+
+        // share link first, then the autosave → where it came from, or null
+        async restoreOnLoad() {
+            window.addEventListener("beforeunload", saveNow);
+            if (location.hash.startsWith(SHARE_PREFIX)) {
+                let session;
+                try {
+                    session = await decodeSession(location.hash.slice(SHARE_PREFIX.length));
+                } catch (err) {
+                    throw new Error(`The share link is damaged or incomplete (${err.message})`);
+                }
+                // later reloads should show later work, not the link again
+                history.replaceState(null, "", location.pathname + location.search);
+                host.restore(session);
+                saveNow();
+                return "link";
+            }
+            const session = readJSON(autosaveKey, null);
+            if (!session || host.restore(session) === false) return null;
+            return "autosave";
+        },
+
+        projects() {
+            const all = readJSON(projectsKey, {});
+            return Object.keys(all).sort().map((name) => ({ name, saved: all[name].saved }));
+        },
+
+        save(name) {
+            const session = host.capture();
+            if (!session) throw new Error("Nothing to save yet");
+            const all = readJSON(projectsKey, {});
+            all[name] = { saved: new Date().toISOString(), session };
+            if (!writeJSON(projectsKey, all)) throw new Error("Browser storage is full or disabled");
+        },
+
+        open(name) {
+            const project = readJSON(projectsKey, {})[name];
+            if (!project) throw new Error(`No project named '${name}'`);
+            host.restore(project.session);
+            saveNow();
+        },
+
+        remove(name) {
+            const all = readJSON(projectsKey, {});
+            delete all[name];
+            writeJSON(projectsKey, all);
+        },
+
+        async shareLink() {
+            const session = host.capture();
+            if (!session) throw new Error("Nothing to share yet");
+            return location.href.split("#")[0] + SHARE_PREFIX + (await encodeSession(session));
+        }
+    };
+}
+
+// Side panel: save under a name, reopen or delete saved projects
+function openProjectsPanel(store) {
+    const root = make("div", { className: "projects" });
+    const name = make("input", { type: "text", placeholder: "project name" });
+    const saveBtn = make("button", {}, "Save");
+    const controls = make("div", { className: "sim-controls" });
+    controls.append(name, saveBtn);
+    const status = make("div", { className: "sim-status" });
+    const list = make("div");
+    root.append(controls, status, list);
+
+    function report(text, ok) {
+        status.textContent = text;
+        status.style.color = ok ? "#2e7d32" : "#b63b3b";
+    }
+
+    function renderList() {
+        const projects = store.projects();
+        if (!projects.length) {
+            list.replaceChildren(make("p", { className: "muted" }, "No saved projects yet. Your current work is autosaved either way."));
+            return;
+        }
+        const table = makeTable(["Project", "Saved", ""], projects.map((p) => [p.name, new Date(p.saved).toLocaleString(), ""]));
+        [...table.querySelectorAll("tr")].slice(1).forEach((tr, i) => {
+            const project = projects[i].name;
+            const openBtn = make("button", { className: "ghost" }, "Open");
+            const deleteBtn = make("button", { className: "ghost" }, "Delete");
+            openBtn.addEventListener("click", () => {
+                try {
+                    store.open(project);
+                } catch (err) {
+                    report(err.message, false);
+                }
+            });
+            deleteBtn.addEventListener("click", () => {
+                if (!confirm(`Delete project '${project}'?`)) return;
+                store.remove(project);
+                renderList();
+            });
+            tr.lastChild.append(openBtn, deleteBtn);
+        });
+        list.replaceChildren(table);
+    }
+
+    saveBtn.addEventListener("click", () => {
+        const text = name.value.trim();
+        if (!text) return report("Please type a project name.", false);
+        if (store.projects().some((p) => p.name === text) && !confirm(`Overwrite project '${text}'?`)) return;
+        try {
+            store.save(text);
+            report(`Saved '${text}' ✔`, true);
+            renderList();
+        } catch (err) {
+            report(err.message, false);
+        }
+    });
+
+    showPanel("Projects", root);
+    renderList();
+}
+
+// Side panel with the share link, copied to the clipboard when allowed
+async function openSharePanel(store) {
+    let url;
+    try {
+        url = await store.shareLink();
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
+    const root = make("div", { className: "projects" });
+    const field = make("input", { type: "text", value: url, readOnly: true });
+    const copyBtn = make("button", {}, "Copy");
+    const status = make("div", { className: "muted" }, `${url.length} characters. Anyone opening this link sees exactly this automaton; nothing is uploaded.`);
+    copyBtn.addEventListener("click", async () => {
+        try {
+            await navigator.clipboard.writeText(url);
+            copyBtn.textContent = "Copied ✔";
+        } catch (err) {
+            field.select();
+            copyBtn.textContent = "Press Ctrl+C";
+        }
+    });
+    const controls = make("div", { className: "sim-controls" });
+    controls.append(field, copyBtn);
+    root.append(controls, status);
+    showPanel("Share Link", root);
+    field.select();
+}
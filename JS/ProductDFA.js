@@ -0,0 +1,96 @@
+/* Boolean operations on automata (product construction)
+   - Both machines are made deterministic with nfaToDfa (if needed), extended
+     to the union of their alphabets and completed with a dead state
+   - The product explores reachable pairs (p, q) only; a pair accepts when the
+     operation says so for "p accepts" and "q accepts"
+   - Complement: complete the DFA, then swap accepting and non-accepting states
+   - Pair states are named p×q (subset names are braced: {q0,q1}×q2)
+   - options: passed on to nfaToDfa (maxStates stops a subset construction
+     that grows too large)
+*/
+
+// Node: the helpers the pages load as separate <script>s
+if (typeof module === "object" && module.exports) Object.assign(globalThis, require("./AutomataCore.js"), require("./MinimizeDFA.js"));
+
+const BOOLEAN_OPS = {
+    union: { label: "A ∪ B", accepts: (x, y) => x || y },
+    intersection: { label: "A ∩ B", accepts: (x, y) => x && y },
+    difference: { label: "A − B", accepts: (x, y) => x && !y },
+    symmetric: { label: "A △ B", accepts: (x, y) => x !== y }
+};
+
+const toDFA = (a, options) => (isDFA(a) ? a : nfaToDfa(a, options));
+
+// Same machine over a larger alphabet, with every missing move to a dead state
+function completeOver(dfa, alphabet) {
+    return completeDFA({ ...dfa, alphabet });
+}
+
+function productDFA(a, b, op, options = {}) {
+    const rule = BOOLEAN_OPS[op];
+    if (!rule) throw new Error(`Unknown operation '${op}'`);
+    if (!a.start || !b.start) throw new Error("Both automata need a start state");
+
+    const alphabet = [...new Set([...(a.alphabet || []), ...(b.alphabet || [])])];
+    const A = completeOver(toDFA(a, options), alphabet);
+    const B = completeOver(toDFA(b, options), alphabet);
+    const acceptA = new Set(A.accept);
+    const acceptB = new Set(B.accept);
+
+    const wrap = (s) => (/[,×]/.test(s) ? `{${s}}` : s);
+    const pairName = (p, q) => `${wrap(p)}×${wrap(q)}`;
+    const step = (dfa, s, sym) => dfa.transitions[s][sym][0];
+
+    const states = [];
+    const accept = [];
+    const transitions = {};
+    const seen = new Set();
+    const queue = [[A.start, B.start]];
+    seen.add(pairName(A.start, B.start));
+
+    // BFS so the states come out in the order they are reached
+    while (queue.length) {
+        const [p, q] = queue.shift();
+        const name = pairName(p, q);
+        states.push(name);
+        if (rule.accepts(acceptA.has(p), acceptB.has(q))) accept.push(name);
+        transitions[name] = {};
+        for (const sym of alphabet) {
+            const np = step(A, p, sym);
+            const nq = step(B, q, sym);
+            const next = pairName(np, nq);
+            transitions[name][sym] = [next];
+            if (!seen.has(next)) {
+                seen.add(next);
+                queue.push([np, nq]);
+            }
+        }
+    }
+
+    return { states, alphabet, start: pairName(A.start, B.start), accept, transitions };
+}
+
+function complementDFA(a, options = {}) {
+    if (!a.start) throw new Error("No start state");
+    const dfa = completeDFA(toDFA(a, options));
+    const keep = new Set(reachableStates(dfa));
+    const accepting = new Set(dfa.accept);
+    const transitions = {};
+    for (const s of dfa.states) if (keep.has(s)) transitions[s] = dfa.transitions[s];
+    return {
+        states: dfa.states.filter((s) => keep.has(s)),
+        alphabet: [...dfa.alphabet],
+        start: dfa.start,
+        accept: dfa.states.filter((s) => keep.has(s) && !accepting.has(s)),
+        transitions
+    };
+}
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        BOOLEAN_OPS,
+        productDFA,
+        complementDFA
+    };
+}
@@ -0,0 +1,273 @@
+/* Regular expression → NFA (Thompson's construction)
+   - Syntax (over a declared alphabet):
+       • a b c        literal symbols (use \ to escape an operator, e.g. \* or \ )
+       • r|s          union
+       • rs           concatenation
+       • r*  r+  r?   Kleene star, plus, optional
+       • (r)          grouping; () is the empty string
+       • [abc] [a-c]  character classes, [^ab] = every alphabet symbol except a, b
+       • .            any alphabet symbol
+       • ε            the empty string
+   - Whitespace outside classes is ignored
+   - Output uses the same { states, alphabet, start, accept, transitions } shape
+     as the file loader, with ε-moves under EPSILON (defined in AutomataCore.js)
+*/
+
+// Node: the helpers the pages load as separate <script>s
+if (typeof module === "object" && module.exports) Object.assign(globalThis, require("./AutomataCore.js"));
+
+const REGEX_OPERATORS = new Set(["|", "*", "+", "?", "(", ")", "[", "]", ".", "\\"]);
+
+// Parsing (recursive descent)
+function parseRegex(src, alphabet) {
+    const chars = [...src];
+    const alpha = new Set(alphabet);
+    let pos = 0;
+
+    const fail = (msg) => {
+        throw new Error(`${msg} at position ${pos + 1}`);
+    };
+    const peek = () => {
+        while (pos < chars.length && /\s/.test(chars[pos])) pos++;
+        return chars[pos];
+    };
+    const symbol = (ch) => {
+        if (!alpha.has(ch)) fail(`Symbol '${ch}' not in alphabet`);
+        return { type: "sym", sym: ch };
+    };
+
+    function parseAlt() {
+        let node = parseConcat();
+        while (peek() === "|") {
+            pos++;
+            node = { type: "alt", left: node, right: parseConcat() };
+        }
+        return node;
+    }
+
+    function parseConcat() {
+        let node = null;
+        while (peek() !== undefined && peek() !== "|" && peek() !== ")") {
+            const next = parseRepeat();
+            node = node ? { type: "cat", left: node, right: next } : next;
+        }
+        return node || { type: "eps" };
+    }
+
+    function parseRepeat() {
+        let node = parseAtom();
+        while (["*", "+", "?"].includes(peek())) {
+            const op = chars[pos++];
+            node = { type: op === "*" ? "star" : op === "+" ? "plus" : "opt", inner: node };
+        }
+        return node;
+    }
+
+    function parseAtom() {
+        const ch = peek();
+        if (ch === "(") {
+            pos++;
+            const inner = parseAlt();
+            if (peek() !== ")") fail("Expected ')'");
+            pos++;
+            return inner;
+        }
+        if (ch === "[") return parseClass();
+        if (ch === ".") {
+            pos++;
+            return { type: "set", syms: [...alphabet] };
+        }
+        if (ch === EPSILON) {
+            pos++;
+            return { type: "eps" };
+        }
+        if (ch === "\\") {
+            pos++;
+            if (pos >= chars.length) fail("Dangling '\\'");
+            return symbol(chars[pos++]);
+        }
+        if (REGEX_OPERATORS.has(ch)) fail(`Unexpected '${ch}'`);
+        pos++;
+        return symbol(ch);
+    }
+
+    // Classes are read character by character: whitespace inside [] is literal
+    function parseClass() {
+        pos++; // [
+        const negate = chars[pos] === "^";
+        if (negate) pos++;
+
+        const picked = new Set();
+        const readChar = () => {
+            if (pos >= chars.length) fail("Unterminated character class");
+            if (chars[pos] === "\\") pos++;
+            if (pos >= chars.length) fail("Dangling '\\'");
+            return chars[pos++];
+        };
+
+        while (chars[pos] !== "]") {
+            const lo = readChar();
+            if (chars[pos] === "-" && chars[pos + 1] !== undefined && chars[pos + 1] !== "]") {
+                pos++;
+                const hi = readChar();
+                const from = lo.codePointAt(0);
+                const to = hi.codePointAt(0);
+                if (from > to) fail(`Invalid range '${lo}-${hi}'`);
+                for (const sym of alphabet) {
+                    const cp = sym.codePointAt(0);
+                    if ([...sym].length === 1 && cp >= from && cp <= to) picked.add(sym);
+                }
+            } else {
+                if (!alpha.has(lo)) fail(`Symbol '${lo}' not in alphabet`);
+                picked.add(lo);
+            }
+        }
+        pos++; // ]
+
+        const syms = negate ? alphabet.filter((s) => !picked.has(s)) : alphabet.filter((s) => picked.has(s));
+        if (!syms.length) fail("Character class matches no alphabet symbol");
+        return { type: "set", syms };
+    }
+
+    const ast = parseAlt();
+    if (peek() !== undefined) fail(`Unexpected '${peek()}'`);
+    return ast;
+}
+
+// Thompson's construction
+function thompson(ast, alphabet) {
+    let nextId = 0;
+    const states = [];
+    const transitions = {};
+
+    const newState = () => {
+        const id = `q${nextId++}`;
+        states.push(id);
+        transitions[id] = {};
+        return id;
+    };
+    const addMove = (from, sym, to) => {
+        (transitions[from][sym] = transitions[from][sym] || []).push(to);
+    };
+
+    // each fragment has exactly one entry and one exit state
+    function build(node) {
+        switch (node.type) {
+            case "sym":
+            case "set":
+            case "eps": {
+                const start = newState();
+                const end = newState();
+                const syms = node.type === "sym" ? [node.sym] : node.type === "set" ? node.syms : [EPSILON];
+                for (const sym of syms) addMove(start, sym, end);
+                return { start, end };
+            }
+            case "cat": {
+                const left = build(node.left);
+                const right = build(node.right);
+                addMove(left.end, EPSILON, right.start);
+                return { start: left.start, end: right.end };
+            }
+            case "alt": {
+                const start = newState();
+                const left = build(node.left);
+                const right = build(node.right);
+                const end = newState();
+                addMove(start, EPSILON, left.start);
+                addMove(start, EPSILON, right.start);
+                addMove(left.end, EPSILON, end);
+                addMove(right.end, EPSILON, end);
+                return { start, end };
+            }
+            case "star":
+            case "plus":
+            case "opt": {
+                const start = newState();
+                const inner = build(node.inner);
+                const end = newState();
+                addMove(start, EPSILON, inner.start);
+                if (node.type !== "plus") addMove(start, EPSILON, end);
+                if (node.type !== "opt") addMove(inner.end, EPSILON, inner.start);
+                addMove(inner.end, EPSILON, end);
+                return { start, end };
+            }
+            default:
+                throw new Error(`Unknown regex node '${node.type}'`);
+        }
+    }
+
+    const { start, end } = build(ast);
+    return {
+        states,
+        alphabet: [...alphabet],
+        start,
+        accept: [end],
+        transitions
+    };
+}
+
+/* Entry point used by the page.
+   alphabetText: "a,b" / "a b" / "ab"; when blank the alphabet is every literal
+   symbol used in the regex. */
+function regexToNFA(src, alphabetText) {
+    let alphabet = parseAlphabetList(alphabetText);
+    if (!alphabet.length) alphabet = literalSymbols(src);
+    if (!alphabet.length) throw new Error("Alphabet is empty");
+    if (alphabet.includes(EPSILON)) throw new Error("The ε symbol must not be part of the alphabet");
+
+    return thompson(parseRegex(src, alphabet), alphabet);
+}
+
+function parseAlphabetList(text) {
+    const t = (text || "").trim();
+    if (!t) return [];
+    const parts = /[,\s]/.test(t) ? t.split(/[\s,]+/).filter(Boolean) : [...t];
+    return [...new Set(parts)];
+}
+
+const RANGE_INFER_LIMIT = 1000; // symbols one range may add to an inferred alphabet
+
+// Every symbol the regex names, a class range [a-c] standing for all it covers
+function literalSymbols(src) {
+    const chars = [...src];
+    const found = new Set();
+    let i = 0;
+    // one class member, as parseRegex reads it (\ escapes)
+    const readChar = () => {
+        if (chars[i] === "\\" && i + 1 < chars.length) i++;
+        return chars[i++];
+    };
+    while (i < chars.length) {
+        const ch = chars[i];
+        if (ch === "\\") {
+            if (i + 1 < chars.length) found.add(chars[i + 1]);
+            i += 2;
+        } else if (ch === "[") {
+            i++;
+            if (chars[i] === "^") i++;
+            while (i < chars.length && chars[i] !== "]") {
+                const lo = readChar();
+                if (chars[i] === "-" && chars[i + 1] !== undefined && chars[i + 1] !== "]") {
+                    i++;
+                    const hi = readChar();
+                    const from = lo.codePointAt(0);
+                    const to = hi.codePointAt(0);
+                    if (to - from >= RANGE_INFER_LIMIT) {
+                        throw new Error(`Range '${lo}-${hi}' is too large to infer the alphabet from; please declare the alphabet`);
+                    }
+                    for (let cp = from; cp <= to; cp++) found.add(String.fromCodePoint(cp));
+                } else found.add(lo);
+            }
+            i++; // ]
+        } else {
+            if (!REGEX_OPERATORS.has(ch) && ch !== EPSILON && !/\s/.test(ch)) found.add(ch);
+            i++;
+        }
+    }
+    return [...found];
+}
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = { parseRegex, thompson, regexToNFA, parseAlphabetList, literalSymbols };
+}
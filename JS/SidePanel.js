@@ -0,0 +1,59 @@
+/* Side panel shared by the tool pages
+   - Expects #sidePanel, #sidePanelTitle, #sidePanelBody, #sidePanelClose
+   - showPanel(title, node, onClose?) replaces the content; onClose runs when
+     the panel is closed or its content replaced
+*/
+
+let panelOnClose = null;
+
+function showPanel(title, content, onClose) {
+    runPanelOnClose();
+    document.getElementById("sidePanelTitle").textContent = title;
+    document.getElementById("sidePanelBody").replaceChildren(content);
+    document.getElementById("sidePanel").hidden = false;
+    panelOnClose = onClose || null;
+}
+
+function hidePanel() {
+    runPanelOnClose();
+    document.getElementById("sidePanel").hidden = true;
+    document.getElementById("sidePanelBody").replaceChildren();
+}
+
+function runPanelOnClose() {
+    const fn = panelOnClose;
+    panelOnClose = null;
+    if (fn) fn();
+}
+
+// Build a <table> from a header row and rows of plain-text cells
+function makeTable(head, rows) {
+    const table = document.createElement("table");
+    const tr = document.createElement("tr");
+    for (const h of head) {
+        const th = document.createElement("th");
+        th.textContent = h;
+        tr.appendChild(th);
+    }
+    table.appendChild(tr);
+    for (const row of rows) {
+        const r = document.createElement("tr");
+        for (const cell of row) {
+            const td = document.createElement("td");
+            td.textContent = cell;
+            r.appendChild(td);
+        }
+        table.appendChild(r);
+    }
+    return table;
+}
+
+// Small element helper: make("button", { className: "ghost" }, "Next")
+function make(tag, props, text) {
+    const node = document.createElement(tag);
+    Object.assign(node, props || {});
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+document.getElementById("sidePanelClose")?.addEventListener("click", hidePanel);
@@ -0,0 +1,148 @@
+/* Step-by-step simulation of string acceptance (shared by both tool pages)
+   - A trace is what the page's simulate() returns:
+       { symbols, steps, accepted, reason }
+     where steps[0] is the initial configuration and every later step is
+       { consumed, symbol, active: [states], taken: ["from→to", ...] }
+     (edge ids follow the "from→to" grouping used by buildEdges)
+   - Moore / Mealy traces (transduce(), AutomataCore.js) also carry
+     { kind, outputs, finished } and steps[i].output: the panel adds an output
+     column and the output emitted so far
+   - The panel shows consumed/remaining input, ◀ ▶ / play controls and a trace
+     table; the graph highlights the active state set and the edges just taken
+*/
+
+const SIM_ACTIVE_BG = "#fde68a";
+const SIM_TAKEN_EDGE = "#2563eb";
+const SIM_PLAY_MS = 800;
+
+// Remembers the original look of every node/edge so highlights can be undone
+// (the "__start" marker node and its edge are never highlighted)
+function createHighlighter(nodes, edges) {
+    const real = (item) => item.id !== "__start";
+    const nodeLook = new Map(nodes.get().filter(real).map((n) => [n.id, { color: n.color, borderWidth: n.borderWidth }]));
+    const edgeLook = new Map(edges.get().filter(real).map((e) => [e.id, { color: e.color, width: e.width }]));
+
+    return {
+        show(active, taken) {
+            const on = new Set(active);
+            const hot = new Set(taken);
+            nodes.update([...nodeLook.entries()].map(([id, look]) => on.has(id)
+                ? { id, color: { ...look.color, background: SIM_ACTIVE_BG }, borderWidth: 4 }
+                : { id, ...look }));
+            edges.update([...edgeLook.entries()].map(([id, look]) => hot.has(id)
+                ? { id, color: { color: SIM_TAKEN_EDGE }, width: 3 }
+                : { id, ...look }));
+        },
+        clear() {
+            nodes.update([...nodeLook.entries()].map(([id, look]) => ({ id, ...look })));
+            edges.update([...edgeLook.entries()].map(([id, look]) => ({ id, ...look })));
+        }
+    };
+}
+
+// Subset-state names already contain commas, so brace those
+function formatStates(states) {
+    if (!states.length) return "— (dead)";
+    return states.map((s) => (s.includes(",") ? `{${s}}` : s)).join(", ");
+}
+
+// ⏮ ◀ ▶ ⏭ + play/pause over frames 0..count-1; show(i) draws frame i
+function createStepper(count, show) {
+    let index = 0;
+    let timer = null;
+
+    const controls = make("div", { className: "sim-controls" });
+    const firstBtn = make("button", { className: "ghost", title: "First step" }, "⏮");
+    const backBtn = make("button", { className: "ghost", title: "Step back" }, "◀");
+    const playBtn = make("button", { className: "ghost", title: "Play / pause" }, "▶ Play");
+    const nextBtn = make("button", { className: "ghost", title: "Step forward" }, "▶");
+    const lastBtn = make("button", { className: "ghost", title: "Last step" }, "⏭");
+    controls.append(firstBtn, backBtn, playBtn, nextBtn, lastBtn);
+
+    function go(i) {
+        index = Math.max(0, Math.min(count - 1, i));
+        firstBtn.disabled = backBtn.disabled = index === 0;
+        nextBtn.disabled = lastBtn.disabled = index === count - 1;
+        show(index);
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+        playBtn.textContent = "▶ Play";
+    }
+
+    firstBtn.addEventListener("click", () => { stop(); go(0); });
+    backBtn.addEventListener("click", () => { stop(); go(index - 1); });
+    nextBtn.addEventListener("click", () => { stop(); go(index + 1); });
+    lastBtn.addEventListener("click", () => { stop(); go(count - 1); });
+    playBtn.addEventListener("click", () => {
+        if (timer) return stop();
+        if (index === count - 1) go(0);
+        playBtn.textContent = "⏸ Pause";
+        timer = setInterval(() => {
+            go(index + 1);
+            if (index === count - 1) stop();
+        }, SIM_PLAY_MS);
+    });
+
+    return { controls, go, stop };
+}
+
+function openSimulation(trace, highlighter, input) {
+    const { symbols, steps } = trace;
+
+    const root = make("div", { className: "sim" });
+    const tape = make("div", { className: "sim-tape" });
+    const consumedSpan = make("span", { className: "sim-consumed" });
+    const remainingSpan = make("span", { className: "sim-remaining" });
+    tape.append(consumedSpan, remainingSpan);
+
+    const status = make("div", { className: "sim-status" });
+    const outputLine = make("div", { className: "sim-output", hidden: !trace.kind });
+    const emitted = (upto) => steps.slice(0, upto + 1).filter((step) => step.output !== null).map((step) => step.output);
+
+    const table = makeTable(
+        ["#", "Read", "Active states", ...(trace.kind ? ["Output"] : [])],
+        steps.map((step, i) => [
+            String(i),
+            i === 0 ? "—" : step.symbol,
+            formatStates(step.active),
+            ...(trace.kind ? [step.output === null ? "—" : step.output] : [])
+        ])
+    );
+    const rows = [...table.querySelectorAll("tr")].slice(1);
+
+    const stepper = createStepper(steps.length, (index) => {
+        const step = steps[index];
+        const consumed = formatWord(symbols.slice(0, step.consumed));
+        const remaining = formatWord(symbols.slice(step.consumed));
+        const spaced = !symbols.every(isSingleCodePoint) && consumed && remaining;
+        consumedSpan.textContent = consumed;
+        remainingSpan.textContent = (spaced ? " " : "") + remaining;
+        if (!symbols.length) remainingSpan.textContent = "ε";
+        outputLine.textContent = `Output: ${emitted(index).join(" · ") || "—"}`;
+
+        if (index === steps.length - 1 && trace.kind) {
+            status.textContent = trace.finished ? `Done ✅ — ${trace.outputs.length} output${trace.outputs.length === 1 ? "" : "s"}` : `Stopped ❌ — ${trace.reason}`;
+            status.style.color = trace.finished ? "#2e7d32" : "#b63b3b";
+        } else if (index === steps.length - 1) {
+            status.textContent = trace.accepted ? `ACCEPT ✅ — ${trace.reason}` : `REJECT ❌ — ${trace.reason}`;
+            status.style.color = trace.accepted ? "#2e7d32" : "#b63b3b";
+        } else {
+            status.textContent = `Step ${index} of ${steps.length - 1}`;
+            status.style.color = "";
+        }
+
+        rows.forEach((r, i) => r.classList.toggle("current", i === index));
+        highlighter.show(step.active, step.taken);
+    });
+
+    root.append(tape, outputLine, stepper.controls, status, table);
+
+    showPanel(`Simulating "${input}"`, root, () => {
+        stepper.stop();
+        highlighter.clear();
+    });
+    stepper.go(0);
+}
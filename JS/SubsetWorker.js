@@ -0,0 +1,18 @@
+/* Web Worker for the NFA page's subset construction (nfaToDfa, AutomataCore.js)
+   in:  { nfa, maxStates, explain }
+   out: { type: "progress", states } while it runs, then
+        { type: "done", dfa, log } or { type: "error", message }
+   The page cancels a conversion by terminating the worker. */
+
+importScripts("Tokenize.js", "WordIndex.js", "AutomataCore.js");
+
+self.addEventListener("message", (e) => {
+    const { nfa, maxStates, explain } = e.data;
+    try {
+        const log = explain ? [] : undefined;
+        const dfa = nfaToDfa(nfa, { log, maxStates, onProgress: (states) => self.postMessage({ type: "progress", states }) });
+        self.postMessage({ type: "done", dfa, log });
+    } catch (err) {
+        self.postMessage({ type: "error", message: err.message });
+    }
+});
@@ -0,0 +1,80 @@
+/* Input tokenization (shared by both tools)
+   Input strings are read as a sequence of alphabet symbols, so symbols such as
+   "if", "id" or "0-9" can be used to model lexers and protocol tokens.
+   - chars     : one code point per symbol (the classic behaviour)
+   - longest   : greedy longest match against the alphabet
+   - separator : symbols are written with a separator between them ("if ( id )")
+   - auto      : chars when every symbol is a single code point, else longest
+*/
+
+const TOKEN_MODES = ["auto", "chars", "longest", "separator"];
+const DEFAULT_TOKENIZER = { mode: "auto", separator: " " };
+
+const isSingleCodePoint = (sym) => [...sym].length === 1;
+
+// "auto" resolved against the alphabet
+function tokenModeFor(alphabet, tokenizer = DEFAULT_TOKENIZER) {
+    if (tokenizer.mode !== "auto") return tokenizer.mode;
+    return (alphabet || []).every(isSingleCodePoint) ? "chars" : "longest";
+}
+
+/* Returns { symbols, error }: error (or null) says where the input could not be
+   split; symbols holds what was read up to there. Symbols outside the alphabet
+   are only rejected in longest mode, the other modes leave that to the caller. */
+function tokenize(text, alphabet, tokenizer = DEFAULT_TOKENIZER) {
+    const mode = tokenModeFor(alphabet, tokenizer);
+    if (mode === "chars") return { symbols: [...text], error: null };
+    if (mode === "separator") {
+        const sep = tokenizer.separator || " ";
+        return { symbols: text.split(sep).filter((t) => t !== ""), error: null };
+    }
+
+    // longest: try the longest symbols first at every position
+    const bySize = [...new Set(alphabet || [])].filter((s) => s !== "").sort((x, y) => y.length - x.length);
+    const symbols = [];
+    let i = 0;
+    while (i < text.length) {
+        const sym = bySize.find((s) => text.startsWith(s, i));
+        if (!sym) {
+            const rest = [...text.slice(i)];
+            const shown = rest.slice(0, 8).join("") + (rest.length > 8 ? "…" : "");
+            const at = [...text.slice(0, i)].length;
+            return { symbols, error: `No alphabet symbol matches at position ${at} ('${shown}')` };
+        }
+        symbols.push(sym);
+        i += sym.length;
+    }
+    return { symbols, error: null };
+}
+
+// Symbols back into text for display; multi-character symbols are spaced apart
+function formatWord(symbols, tokenizer = DEFAULT_TOKENIZER) {
+    if (tokenizer.mode === "separator") return symbols.join(tokenizer.separator || " ");
+    return symbols.every(isSingleCodePoint) ? symbols.join("") : symbols.join(" ");
+}
+
+// A language file may fix its own separator: { alphabet, accept, separator: " " }
+function languageTokenizer(lang, fallback = DEFAULT_TOKENIZER) {
+    if (lang && typeof lang.separator === "string" && lang.separator !== "") return { mode: "separator", separator: lang.separator };
+    return fallback;
+}
+
+// The toolbar's "tokens" select and separator box as a tokenizer
+function readTokenizer(modeSelect, separatorInput) {
+    const mode = modeSelect && TOKEN_MODES.includes(modeSelect.value) ? modeSelect.value : "auto";
+    const separator = separatorInput && separatorInput.value !== "" ? separatorInput.value : " ";
+    return { mode, separator };
+}
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        TOKEN_MODES,
+        DEFAULT_TOKENIZER,
+        isSingleCodePoint,
+        tokenModeFor,
+        tokenize,
+        formatWord,
+        languageTokenizer
+    };
+}
@@ -0,0 +1,429 @@
+/* Schema validation for uploaded automata and languages (shared by both tools)
+   - validateAutomaton / validateLanguage (and validateTokenizer, for saved
+     sessions) collect EVERY problem as
+       { path, message, fixable }
+     where path is a JSON path into the uploaded object ($.transitions.q1.a[0])
+   - fixAutomaton / fixLanguage return a copy with the safe fixes applied:
+     drop dangling transitions, undeclared accept states and outputs of missing
+     states or moves, dedupe lists, wrap a lone target in []
+   - validatePDA / fixPDA do the same for pushdown automata
+   - showProblems() lists them in the side panel with an "apply fixes" button
+*/
+
+// Node: the helpers the pages load as separate <script>s
+if (typeof module === "object" && module.exports) Object.assign(globalThis, require("./Tokenize.js"), require("./AutomataCore.js"), require("./PDACore.js"));
+
+const EPSILON_SPELLINGS = ["ε", ""];
+
+function jsonPath(base, key) {
+    if (typeof key === "number") return `${base}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Shared checks for arrays of strings: type, duplicates (fixable)
+function checkStringList(list, path, what, report) {
+    const seen = new Set();
+    list.forEach((item, i) => {
+        const p = jsonPath(path, i);
+        if (typeof item !== "string") report(p, `${what} must be a string, got ${JSON.stringify(item)}`);
+        else if (seen.has(item)) report(p, `duplicate ${what} '${item}'`, true);
+        seen.add(item);
+    });
+}
+
+// The symbols that mean ε in this object (an optional "epsilon" key adds one)
+function epsilonSpellingsOf(obj) {
+    const syms = new Set(EPSILON_SPELLINGS);
+    if (typeof obj.epsilon === "string") syms.add(obj.epsilon);
+    return syms;
+}
+
+// ... those of them allowed as moves
+function epsilonSymbolsOf(obj, opts) {
+    return opts.epsilon ? epsilonSpellingsOf(obj) : new Set();
+}
+
+/* opts.epsilon: ε-moves allowed (NFA tool); opts.deterministic: at most one
+   target per (state, symbol) (DAFSA tool). Moore / Mealy machines (outputs,
+   AutomataCore.js) are always deterministic and ε-free */
+function validateAutomaton(obj, opts = {}) {
+    const problems = [];
+    const report = (path, message, fixable = false) => problems.push({ path, message, fixable });
+
+    if (!isPlainObject(obj)) {
+        report("$", "the automaton must be a JSON object");
+        return problems;
+    }
+    for (const k of ["states", "alphabet", "start", "accept", "transitions"]) {
+        if (!(k in obj)) report("$", `missing key '${k}'`);
+    }
+    for (const k of ["states", "alphabet", "accept"]) {
+        if (k in obj && !Array.isArray(obj[k])) report(`$.${k}`, `${k} must be an array`);
+    }
+    if ("transitions" in obj && !isPlainObject(obj.transitions)) report("$.transitions", "transitions must be an object");
+    if ("epsilon" in obj && (!opts.epsilon || typeof obj.epsilon !== "string"))
+        report("$.epsilon", opts.epsilon ? "epsilon must be a string naming the ε symbol" : "ε-moves are not allowed here");
+
+    const states = Array.isArray(obj.states) ? obj.states : [];
+    const alphabet = Array.isArray(obj.alphabet) ? obj.alphabet : [];
+    const stateSet = new Set(states);
+    const alphaSet = new Set(alphabet);
+    const eps = epsilonSymbolsOf(obj, opts);
+    const spellings = epsilonSpellingsOf(obj);
+    const transducer = "stateOutputs" in obj || "transitionOutputs" in obj;
+
+    checkStringList(states, "$.states", "state", report);
+    states.forEach((s, i) => {
+        if (s === "__start") report(jsonPath("$.states", i), "'__start' is a reserved name");
+    });
+
+    checkStringList(alphabet, "$.alphabet", "symbol", report);
+    alphabet.forEach((sym, i) => {
+        if (sym === "ε" || eps.has(sym)) report(jsonPath("$.alphabet", i), "the ε symbol must not be part of the alphabet");
+        else if (sym === "") report(jsonPath("$.alphabet", i), "empty symbol");
+    });
+
+    if ("start" in obj) {
+        if (typeof obj.start !== "string") report("$.start", "start must be a state name");
+        else if (!stateSet.has(obj.start)) report("$.start", `start state '${obj.start}' is not in states`);
+    }
+
+    if (Array.isArray(obj.accept)) {
+        checkStringList(obj.accept, "$.accept", "accept state", report);
+        obj.accept.forEach((s, i) => {
+            if (typeof s === "string" && !stateSet.has(s)) report(jsonPath("$.accept", i), `accept state '${s}' is not in states`, true);
+        });
+    }
+
+    if (isPlainObject(obj.transitions)) {
+        for (const [from, bySym] of Object.entries(obj.transitions)) {
+            const rowPath = jsonPath("$.transitions", from);
+            if (!stateSet.has(from)) {
+                report(rowPath, `transitions from undeclared state '${from}'`, true);
+                continue;
+            }
+            if (!isPlainObject(bySym)) {
+                report(rowPath, "must be an object mapping symbols to target lists");
+                continue;
+            }
+            for (const [sym, targets] of Object.entries(bySym)) {
+                const symPath = jsonPath(rowPath, sym);
+                if (!alphaSet.has(sym) && !eps.has(sym)) {
+                    // not fixable: dropping an ε-move changes the language
+                    if (spellings.has(sym)) report(symPath, "ε-moves are not allowed here: the automaton must be deterministic");
+                    else report(symPath, `symbol '${sym}' is not in the alphabet`, true);
+                    continue;
+                }
+                if (transducer && eps.has(sym)) report(symPath, "a Moore or Mealy machine has no ε-moves");
+                if (!Array.isArray(targets)) {
+                    const lone = typeof targets === "string";
+                    report(symPath, `targets must be an array${lone ? ` (write ["${targets}"])` : ""}`, lone);
+                    continue;
+                }
+                const seen = new Set();
+                targets.forEach((t, i) => {
+                    const p = jsonPath(symPath, i);
+                    if (typeof t !== "string") report(p, `target must be a state name, got ${JSON.stringify(t)}`, true);
+                    else if (!stateSet.has(t)) report(p, `target '${t}' is not in states`, true);
+                    else if (seen.has(t)) report(p, `duplicate target '${t}'`, true);
+                    seen.add(t);
+                });
+                if ((opts.deterministic || transducer) && new Set(targets).size > 1)
+                    report(symPath, `more than one target on '${sym}': the automaton must be deterministic`);
+            }
+        }
+    }
+
+    if (transducer) checkOutputs(obj, stateSet, alphaSet, report);
+    return problems;
+}
+
+// Moore "stateOutputs" / Mealy "transitionOutputs": outputs are strings, of
+// declared states and of moves that exist
+function checkOutputs(obj, stateSet, alphaSet, report) {
+    if ("stateOutputs" in obj && "transitionOutputs" in obj)
+        report("$", "give either stateOutputs (Moore) or transitionOutputs (Mealy), not both");
+    const checkOutput = (p, out) => {
+        if (typeof out !== "string") report(p, `output must be a string, got ${JSON.stringify(out)}`);
+    };
+
+    if ("stateOutputs" in obj) {
+        const byState = isPlainObject(obj.stateOutputs) ? obj.stateOutputs : {};
+        if (byState !== obj.stateOutputs) report("$.stateOutputs", "stateOutputs must be an object mapping states to outputs");
+        for (const [s, out] of Object.entries(byState)) {
+            const p = jsonPath("$.stateOutputs", s);
+            if (!stateSet.has(s)) report(p, `output for undeclared state '${s}'`, true);
+            else checkOutput(p, out);
+        }
+    }
+
+    if ("transitionOutputs" in obj) {
+        if (!isPlainObject(obj.transitionOutputs)) {
+            report("$.transitionOutputs", "transitionOutputs must be an object mapping states to { symbol: output }");
+            return;
+        }
+        const transitions = isPlainObject(obj.transitions) ? obj.transitions : {};
+        for (const [from, bySym] of Object.entries(obj.transitionOutputs)) {
+            const rowPath = jsonPath("$.transitionOutputs", from);
+            if (!stateSet.has(from)) {
+                report(rowPath, `outputs from undeclared state '${from}'`, true);
+                continue;
+            }
+            if (!isPlainObject(bySym)) {
+                report(rowPath, "must be an object mapping symbols to outputs");
+                continue;
+            }
+            for (const [sym, out] of Object.entries(bySym)) {
+                const p = jsonPath(rowPath, sym);
+                const moves = isPlainObject(transitions[from]) ? transitions[from][sym] : undefined;
+                if (!alphaSet.has(sym)) report(p, `symbol '${sym}' is not in the alphabet`, true);
+                else if (!Array.isArray(moves) || !moves.length) report(p, `no transition from '${from}' on '${sym}' to emit this output`, true);
+                else checkOutput(p, out);
+            }
+        }
+    }
+}
+
+const dedupe = (list) => [...new Set(list)];
+
+function fixAutomaton(obj, opts = {}) {
+    const a = JSON.parse(JSON.stringify(obj));
+    // only lists that are lists get touched; structural errors stay reported
+    if (Array.isArray(a.states)) a.states = dedupe(a.states);
+    if (Array.isArray(a.alphabet)) a.alphabet = dedupe(a.alphabet);
+    const stateSet = new Set(a.states || []);
+    const alphaSet = new Set(a.alphabet || []);
+    const eps = epsilonSymbolsOf(a, opts);
+    const spellings = epsilonSpellingsOf(a);
+    if (Array.isArray(a.accept)) a.accept = dedupe(a.accept.filter((s) => typeof s !== "string" || stateSet.has(s)));
+    if (!isPlainObject(a.transitions)) return a;
+
+    const transitions = {};
+    for (const [from, bySym] of Object.entries(a.transitions || {})) {
+        if (!stateSet.has(from)) continue;
+        if (!isPlainObject(bySym)) {
+            transitions[from] = bySym;
+            continue;
+        }
+        transitions[from] = {};
+        for (const [sym, raw] of Object.entries(bySym)) {
+            if (!alphaSet.has(sym) && !eps.has(sym) && !spellings.has(sym)) continue; // ε-moves stay reported
+            if (typeof raw !== "string" && !Array.isArray(raw)) {
+                transitions[from][sym] = raw;
+                continue;
+            }
+            const targets = typeof raw === "string" ? [raw] : raw;
+            transitions[from][sym] = dedupe(targets.filter((t) => stateSet.has(t)));
+        }
+    }
+    a.transitions = transitions;
+    return dropDanglingOutputs(a);
+}
+
+// Tokenizers kept in saved sessions: { mode, separator } as readTokenizer makes them
+function validateTokenizer(tokenizer, path = "$") {
+    if (!isPlainObject(tokenizer)) return [{ path, message: "the tokenizer must be an object with 'mode' and 'separator'", fixable: false }];
+    const problems = [];
+    if (!TOKEN_MODES.includes(tokenizer.mode))
+        problems.push({ path: `${path}.mode`, message: `mode must be one of ${TOKEN_MODES.map((m) => `'${m}'`).join(", ")}`, fixable: false });
+    if ("separator" in tokenizer && (typeof tokenizer.separator !== "string" || tokenizer.separator === ""))
+        problems.push({ path: `${path}.separator`, message: "separator must be a non-empty string", fixable: false });
+    return problems;
+}
+
+/* Languages for the DAFSA tool: { alphabet, accept, separator? }; words must
+   split into alphabet symbols with the given tokenizer (Tokenize.js) */
+function validateLanguage(lang, tokenizer = DEFAULT_TOKENIZER) {
+    const problems = [];
+    const report = (path, message, fixable = false) => problems.push({ path, message, fixable });
+
+    if (!isPlainObject(lang)) {
+        report("$", "the language must be a JSON object with 'alphabet' and 'accept'");
+        return problems;
+    }
+    if (!Array.isArray(lang.alphabet)) report("$.alphabet", "alphabet must be an array");
+    else if (!lang.alphabet.length) report("$.alphabet", "alphabet must not be empty");
+    if (!Array.isArray(lang.accept)) report("$.accept", "accept must be an array of strings");
+
+    if ("separator" in lang && (typeof lang.separator !== "string" || lang.separator === ""))
+        report("$.separator", "separator must be a non-empty string");
+
+    const alphabet = Array.isArray(lang.alphabet) ? lang.alphabet : [];
+    const tokens = languageTokenizer(lang, tokenizer);
+    const mode = tokenModeFor(alphabet.filter((s) => typeof s === "string"), tokens);
+    checkStringList(alphabet, "$.alphabet", "symbol", report);
+    alphabet.forEach((sym, i) => {
+        if (typeof sym !== "string") return;
+        if (sym === "") report(jsonPath("$.alphabet", i), "empty symbol");
+        else if (mode === "chars" && !isSingleCodePoint(sym))
+            report(jsonPath("$.alphabet", i), `'${sym}' has more than one character, but words are split into single characters (use longest-match or separator tokens)`);
+        else if (mode === "separator" && sym.includes(tokens.separator))
+            report(jsonPath("$.alphabet", i), `'${sym}' contains the separator '${tokens.separator}'`);
+    });
+
+    const alpha = new Set(alphabet);
+    const symbolList = alphabet.filter((s) => typeof s === "string");
+    const words = Array.isArray(lang.accept) ? lang.accept : [];
+    checkStringList(words, "$.accept", "word", report);
+    words.forEach((w, i) => {
+        if (typeof w !== "string") return;
+        const { symbols, error } = tokenize(w, symbolList, tokens);
+        if (error) return report(jsonPath("$.accept", i), `word "${w}": ${error}`);
+        const bad = [...new Set(symbols.filter((ch) => !alpha.has(ch)))];
+        if (bad.length) report(jsonPath("$.accept", i), `word "${w}" uses ${bad.map((ch) => `'${ch}'`).join(", ")} not in the alphabet`);
+    });
+
+    return problems;
+}
+
+function fixLanguage(lang) {
+    const fixed = { ...lang };
+    if (Array.isArray(lang.alphabet)) fixed.alphabet = dedupe(lang.alphabet);
+    if (Array.isArray(lang.accept)) fixed.accept = dedupe(lang.accept);
+    return fixed;
+}
+
+/* Pushdown automata (PDA.html, PDACore.js): states, alphabet, start and
+   accept as for any automaton, plus the stack alphabet, the start stack
+   symbol and moves { pop, push, to } */
+function validatePDA(obj) {
+    if (!isPlainObject(obj)) return [{ path: "$", message: "the PDA must be a JSON object", fixable: false }];
+    const problems = validateAutomaton({ ...obj, transitions: {} }, { epsilon: true });
+    const report = (path, message, fixable = false) => problems.push({ path, message, fixable });
+
+    for (const k of ["stackAlphabet", "startStack"]) {
+        if (!(k in obj)) report("$", `missing key '${k}'`);
+    }
+    if (!("transitions" in obj)) report("$", "missing key 'transitions'");
+    if ("stackAlphabet" in obj && !Array.isArray(obj.stackAlphabet)) report("$.stackAlphabet", "stackAlphabet must be an array");
+    if ("acceptBy" in obj && !PDA_ACCEPT_MODES.includes(obj.acceptBy))
+        report("$.acceptBy", `acceptBy must be one of ${PDA_ACCEPT_MODES.map((m) => `'${m}'`).join(", ")}`);
+
+    const stateSet = new Set(Array.isArray(obj.states) ? obj.states : []);
+    const alphaSet = new Set(Array.isArray(obj.alphabet) ? obj.alphabet : []);
+    const stackList = Array.isArray(obj.stackAlphabet) ? obj.stackAlphabet.filter((x) => typeof x === "string") : [];
+    const stackSet = new Set(stackList);
+    const eps = epsilonSymbolsOf(obj, { epsilon: true });
+
+    checkStringList(Array.isArray(obj.stackAlphabet) ? obj.stackAlphabet : [], "$.stackAlphabet", "stack symbol", report);
+    stackList.forEach((x) => {
+        if (x === "" || x === "ε") report("$.stackAlphabet", "the ε symbol must not be part of the stack alphabet");
+    });
+    if ("startStack" in obj && !stackSet.has(obj.startStack))
+        report("$.startStack", `start stack symbol ${JSON.stringify(obj.startStack)} is not in stackAlphabet`);
+
+    if (!("transitions" in obj)) return problems;
+    if (!isPlainObject(obj.transitions)) {
+        report("$.transitions", "transitions must be an object");
+        return problems;
+    }
+    for (const [from, bySym] of Object.entries(obj.transitions)) {
+        const rowPath = jsonPath("$.transitions", from);
+        if (!stateSet.has(from)) {
+            report(rowPath, `transitions from undeclared state '${from}'`, true);
+            continue;
+        }
+        if (!isPlainObject(bySym)) {
+            report(rowPath, "must be an object mapping symbols to lists of moves");
+            continue;
+        }
+        for (const [sym, moves] of Object.entries(bySym)) {
+            const symPath = jsonPath(rowPath, sym);
+            if (!alphaSet.has(sym) && !eps.has(sym)) {
+                report(symPath, `symbol '${sym}' is not in the alphabet`, true);
+                continue;
+            }
+            if (!Array.isArray(moves)) {
+                report(symPath, "moves must be an array of { pop, push, to }");
+                continue;
+            }
+            moves.forEach((move, i) => {
+                const p = jsonPath(symPath, i);
+                if (!isPlainObject(move)) return report(p, "a move must be an object { pop, push, to }");
+                if (!stateSet.has(move.to)) report(jsonPath(p, "to"), `target ${JSON.stringify(move.to)} is not in states`, true);
+                if (typeof move.pop !== "string") report(jsonPath(p, "pop"), "pop must be a stack symbol, or ε to leave the stack alone");
+                else if (move.pop !== "" && move.pop !== "ε" && !stackSet.has(move.pop))
+                    report(jsonPath(p, "pop"), `stack symbol '${move.pop}' is not in stackAlphabet`);
+                const { symbols, error } = stackSymbols(move.push ?? "", stackList);
+                const bad = [...new Set(symbols.filter((x) => !stackSet.has(x)))];
+                if (error) report(jsonPath(p, "push"), error);
+                else if (bad.length) report(jsonPath(p, "push"), `${bad.map((x) => `'${x}'`).join(", ")} not in stackAlphabet`);
+            });
+        }
+    }
+    return problems;
+}
+
+// Safe fixes as in fixAutomaton; moves to undeclared states are dropped
+function fixPDA(obj) {
+    const fixed = { ...fixAutomaton({ ...obj, transitions: {} }, { epsilon: true }), transitions: obj.transitions };
+    if (Array.isArray(obj.stackAlphabet)) fixed.stackAlphabet = dedupe(obj.stackAlphabet);
+    if (!isPlainObject(obj.transitions)) return fixed;
+
+    const stateSet = new Set(fixed.states || []);
+    const alphaSet = new Set(fixed.alphabet || []);
+    const eps = epsilonSymbolsOf(obj, { epsilon: true });
+    fixed.transitions = {};
+    for (const [from, bySym] of Object.entries(obj.transitions)) {
+        if (!stateSet.has(from)) continue;
+        if (!isPlainObject(bySym)) {
+            fixed.transitions[from] = bySym;
+            continue;
+        }
+        fixed.transitions[from] = {};
+        for (const [sym, moves] of Object.entries(bySym)) {
+            if (!alphaSet.has(sym) && !eps.has(sym)) continue;
+            fixed.transitions[from][sym] = Array.isArray(moves)
+                ? moves.filter((m) => !isPlainObject(m) || stateSet.has(m.to))
+                : moves;
+        }
+    }
+    return JSON.parse(JSON.stringify(fixed));
+}
+
+// Importer errors ("Line n: …") as problems
+function problemsFromError(err) {
+    return String(err.message).split("\n").map((line) => {
+        const m = line.match(/^(Line \d+): (.*)$/);
+        return m ? { path: m[1], message: m[2], fixable: false } : { path: "$", message: line, fixable: false };
+    });
+}
+
+/* Side-panel report. onFix (optional) is offered when some problems are
+   fixable; it receives nothing and should re-run the load with fixed data. */
+function showProblems(title, problems, onFix) {
+    const root = make("div", { className: "problems" });
+    const fixable = problems.filter((p) => p.fixable).length;
+    root.append(make("div", { className: "sim-status" },
+        `${problems.length} problem${problems.length === 1 ? "" : "s"}` +
+        (fixable ? ` — ${fixable} can be fixed automatically` : "")));
+
+    if (fixable && onFix) {
+        const fixBtn = make("button", { className: "ghost" }, "Apply safe fixes");
+        fixBtn.addEventListener("click", onFix);
+        root.append(fixBtn);
+    }
+
+    root.append(makeTable(["Where", "Problem", "Fix"], problems.map((p) => [
+        p.path,
+        p.message,
+        p.fixable ? "auto" : "—"
+    ])));
+    showPanel(title, root);
+}
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        validateAutomaton,
+        fixAutomaton,
+        validateTokenizer,
+        validateLanguage,
+        fixLanguage,
+        validatePDA,
+        fixPDA,
+        problemsFromError
+    };
+}
@@ -0,0 +1,96 @@
+/* Minimal perfect hashing on a DAFSA
+   - counts[s] = number of words in the right language of state s
+     (final ? 1 : 0) + Σ counts[child], filled bottom-up
+   - Words are numbered 0..N-1 in lexicographic order (a word comes before
+     its extensions, symbols compare as strings); wordToIndex / indexToWord
+     walk the automaton once, skipping whole subtrees by their counts
+   - minimizeAcyclicDFA attaches counts to its result; any other acyclic DFA
+     gets them computed on demand
+*/
+
+function rightLanguageCounts(dfa) {
+    const acceptSet = new Set(dfa.accept);
+    const counts = Object.create(null); // states may be named "constructor" etc.
+    for (const root of dfa.states) {
+        // explicit post-order: long words must not overflow the call stack
+        const stack = [root];
+        while (stack.length) {
+            const s = stack[stack.length - 1];
+            if (Object.hasOwn(counts, s)) {
+                stack.pop();
+                continue;
+            }
+            const children = Object.values(dfa.transitions[s] || {}).map(([t]) => t);
+            const pending = children.filter((t) => !Object.hasOwn(counts, t));
+            if (pending.length) {
+                stack.push(...pending);
+                continue;
+            }
+            counts[s] = (acceptSet.has(s) ? 1 : 0) + children.reduce((sum, t) => sum + counts[t], 0);
+            stack.pop();
+        }
+    }
+    return counts;
+}
+
+const countsOf = (dfa) => dfa.counts || rightLanguageCounts(dfa);
+const sortedEdges = (dfa, s) => Object.entries(dfa.transitions[s] || {}).sort(([x], [y]) => (x < y ? -1 : x > y ? 1 : 0));
+
+// Index of the word (array of symbols), or -1 if it is not accepted
+function wordToIndex(dfa, symbols) {
+    const counts = countsOf(dfa);
+    const acceptSet = new Set(dfa.accept);
+    let s = dfa.start;
+    let index = 0;
+    for (const sym of symbols) {
+        if (acceptSet.has(s)) index += 1; // the word ending here comes first
+        let next;
+        for (const [edgeSym, [t]] of sortedEdges(dfa, s)) {
+            if (edgeSym === sym) {
+                next = t;
+                break;
+            }
+            if (edgeSym < sym) index += counts[t];
+        }
+        if (next === undefined) return -1;
+        s = next;
+    }
+    return acceptSet.has(s) ? index : -1;
+}
+
+// The word (array of symbols) with that index, or null when out of range
+function indexToWord(dfa, index) {
+    const counts = countsOf(dfa);
+    const acceptSet = new Set(dfa.accept);
+    if (!Number.isInteger(index) || index < 0 || index >= (counts[dfa.start] || 0)) return null;
+    const word = [];
+    let s = dfa.start;
+    let rest = index;
+    while (true) {
+        if (acceptSet.has(s)) {
+            if (rest === 0) return word;
+            rest -= 1;
+        }
+        let moved = false;
+        for (const [sym, [t]] of sortedEdges(dfa, s)) {
+            if (rest < counts[t]) {
+                word.push(sym);
+                s = t;
+                moved = true;
+                break;
+            }
+            rest -= counts[t];
+        }
+        if (!moved) return null;
+    }
+}
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        rightLanguageCounts,
+        countsOf,
+        wordToIndex,
+        indexToWord
+    };
+}
@@ -0,0 +1,186 @@
+/* Dictionary queries on a DAFSA (spell-checking style)
+   - prefixCompletions : every word that starts with a prefix, in lexicographic
+                         order, plus the subgraph it lives in (the prefix path
+                         and everything below its last state)
+   - fuzzySearch       : every word within Levenshtein distance k of a query.
+                         The DAFSA is walked in lockstep with the Levenshtein
+                         automaton of the query, whose state after reading w is
+                         the edit-distance row d(query[0..j], w) capped at k+1;
+                         a branch is dropped as soon as that state is dead
+                         (every entry > k), so only a thin band is explored
+   - openSearchPanel shows both, live while typing, and highlights the matches
+*/
+
+// Node: the helpers the pages load as separate <script>s
+if (typeof module === "object" && module.exports) Object.assign(globalThis, require("./IncrementalDAFSA.js"), require("./WordIndex.js"));
+
+const SEARCH_RESULT_LIMIT = 500; // matches collected per query
+
+const searchEdges = (dfa, s) => Object.entries(dfa.transitions[s] || {}).sort(([x], [y]) => (x < y ? -1 : x > y ? 1 : 0));
+
+/* prefix: array of symbols
+   → null if no word has that prefix, else
+     { words: [symbol arrays], total, truncated, states: [ids], edges: ["from→to"] } */
+function prefixCompletions(dfa, prefix, limit = SEARCH_RESULT_LIMIT) {
+    const states = [dfa.start];
+    const edges = [];
+    let s = dfa.start;
+    for (const sym of prefix) {
+        const t = ((dfa.transitions[s] || {})[sym] || [])[0];
+        if (t === undefined) return null;
+        edges.push(`${s}→${t}`);
+        states.push(t);
+        s = t;
+    }
+
+    // lexicographic: a state's own word first, then its branches by symbol
+    const acceptSet = new Set(dfa.accept);
+    const words = [];
+    const seen = new Set(states);
+    const stack = [{ state: s, word: [...prefix] }];
+    while (stack.length && words.length < limit) {
+        const { state, word } = stack.pop();
+        if (acceptSet.has(state)) words.push(word);
+        const branches = searchEdges(dfa, state);
+        for (let i = branches.length - 1; i >= 0; i--) {
+            const [sym, [t]] = branches[i];
+            stack.push({ state: t, word: [...word, sym] });
+        }
+    }
+
+    // the subgraph below the prefix, each state once
+    const below = [s];
+    for (let head = 0; head < below.length; head++) {
+        for (const [, [t]] of searchEdges(dfa, below[head])) {
+            edges.push(`${below[head]}→${t}`);
+            if (!seen.has(t)) {
+                seen.add(t);
+                states.push(t);
+                below.push(t);
+            }
+        }
+    }
+
+    const total = countsOf(dfa)[s];
+    return { words, total, truncated: words.length < total, states, edges: [...new Set(edges)] };
+}
+
+/* query: array of symbols, k: maximum distance
+   → { matches: [{ word, distance }] closest first, truncated } */
+function fuzzySearch(dfa, query, k, limit = SEARCH_RESULT_LIMIT) {
+    const acceptSet = new Set(dfa.accept);
+    const n = query.length;
+    const cap = k + 1; // every value above k behaves the same
+    const matches = [];
+
+    const firstRow = Array.from({ length: n + 1 }, (_, j) => Math.min(j, cap));
+    const stack = [{ state: dfa.start, word: [], row: firstRow }];
+    while (stack.length) {
+        const { state, word, row } = stack.pop();
+        if (acceptSet.has(state) && row[n] <= k) {
+            if (matches.length === limit) return { matches: sortMatches(matches), truncated: true };
+            matches.push({ word, distance: row[n] });
+        }
+        for (const [sym, [t]] of searchEdges(dfa, state)) {
+            const next = [Math.min(row[0] + 1, cap)];
+            for (let j = 1; j <= n; j++) {
+                const substitute = row[j - 1] + (query[j - 1] === sym ? 0 : 1);
+                next.push(Math.min(row[j] + 1, next[j - 1] + 1, substitute, cap));
+            }
+            if (Math.min(...next) <= k) stack.push({ state: t, word: [...word, sym], row: next });
+        }
+    }
+    return { matches: sortMatches(matches), truncated: false };
+}
+
+const sortMatches = (matches) => matches.sort((x, y) => x.distance - y.distance || compareWords(x.word, y.word));
+
+// States and "from→to" edges spelled by the given words
+function wordPaths(dfa, words) {
+    const states = new Set([dfa.start]);
+    const edges = new Set();
+    for (const word of words) {
+        let s = dfa.start;
+        for (const sym of word) {
+            const t = dfa.transitions[s][sym][0];
+            edges.add(`${s}→${t}`);
+            states.add(t);
+            s = t;
+        }
+    }
+    return { states: [...states], edges: [...edges] };
+}
+
+/* Side panel: prefix or fuzzy mode, results update while typing.
+   highlighter: createHighlighter() over the shown graph (null if none) */
+function openSearchPanel(dfa, tokenizer, highlighter) {
+    const root = make("div", { className: "search" });
+    const mode = make("select", { title: "Query mode" });
+    mode.append(make("option", { value: "prefix" }, "prefix"), make("option", { value: "fuzzy" }, "within distance"));
+    const distance = make("input", { type: "number", min: 0, max: 5, value: 1, title: "Maximum Levenshtein distance", hidden: true });
+    const query = make("input", { type: "text", placeholder: "type a prefix…", spellcheck: false });
+    const controls = make("div", { className: "sim-controls" });
+    controls.append(mode, distance);
+    const summary = make("div", { className: "sim-status" });
+    const results = make("div");
+    root.append(controls, query, summary, results);
+
+    const show = (word) => (word.length ? formatWord(word, tokenizer) : "ε");
+
+    function run() {
+        const { symbols, error } = tokenize(query.value, dfa.alphabet, tokenizer);
+        summary.style.color = "";
+        if (error) {
+            summary.textContent = error;
+            summary.style.color = "#b63b3b";
+            results.replaceChildren();
+            highlighter?.clear();
+            return;
+        }
+
+        if (mode.value === "prefix") {
+            const found = prefixCompletions(dfa, symbols);
+            if (!found) {
+                summary.textContent = "No word starts with this prefix.";
+                results.replaceChildren();
+                highlighter?.clear();
+                return;
+            }
+            summary.textContent = `${found.total} word${found.total === 1 ? "" : "s"} start${found.total === 1 ? "s" : ""} with "${show(symbols)}"` +
+                (found.truncated ? ` (first ${found.words.length} shown)` : "");
+            results.replaceChildren(makeTable(["#", "Completion"], found.words.map((w, i) => [String(i + 1), show(w)])));
+            highlighter?.show(found.states, found.edges);
+            return;
+        }
+
+        const k = Math.max(0, Math.floor(Number(distance.value) || 0));
+        const { matches, truncated } = fuzzySearch(dfa, symbols, k);
+        summary.textContent = `${matches.length}${truncated ? "+" : ""} word${matches.length === 1 ? "" : "s"} within distance ${k} of "${show(symbols)}"` +
+            (truncated ? " (stopped at the limit)" : "");
+        results.replaceChildren(makeTable(["Word", "Distance"], matches.map((m) => [show(m.word), String(m.distance)])));
+        const paths = wordPaths(dfa, matches.map((m) => m.word));
+        if (matches.length) highlighter?.show(paths.states, paths.edges);
+        else highlighter?.clear();
+    }
+
+    mode.addEventListener("change", () => {
+        distance.hidden = mode.value !== "fuzzy";
+        query.placeholder = mode.value === "fuzzy" ? "type a word…" : "type a prefix…";
+        run();
+    });
+    distance.addEventListener("input", run);
+    query.addEventListener("input", run);
+
+    showPanel("Search", root, () => highlighter?.clear());
+    run();
+    query.focus();
+}
+
+// Node: the same functions as a CommonJS module
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        SEARCH_RESULT_LIMIT,
+        prefixCompletions,
+        fuzzySearch
+    };
+}
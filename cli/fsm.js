@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/* Command-line front end to the page algorithms (JS/AutomataCore.js & co.)
+   - nfa2dfa : automaton file (JSON, JFLAP .jff, DOT, transition list) → DFA JSON
+   - dafsa   : word list (one word per line) or { alphabet, accept } JSON → minimal DAFSA JSON
+   - test    : strings on stdin, optionally as a CSV suite "input,expected"
+               (BatchTest.js format) → CSV report; exit code 1 on a mismatch
+   Results go to stdout, errors to stderr (exit code 2).
+*/
+
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_TOKENIZER, TOKEN_MODES } = require("../JS/Tokenize.js");
+const { accepts, machineKind, nfaToDfa, normalizeEpsilon, buildTrieDFA, minimizeAcyclicDFA } = require("../JS/AutomataCore.js");
+const { minimizeDFA } = require("../JS/MinimizeDFA.js");
+const { importAutomaton } = require("../JS/Import.js");
+const { validateAutomaton, validateLanguage } = require("../JS/Validate.js");
+const { parseWordList, buildDAFSAIncremental } = require("../JS/IncrementalDAFSA.js");
+const { parseTestSuite, runTestSuite, batchReportToCSV } = require("../JS/BatchTest.js");
+
+const USAGE = `Usage:
+  fsm nfa2dfa <automaton> [--minimize] [--max-states N]
+      Subset construction; the DFA is printed as JSON (--minimize: Hopcroft).
+      Stops with an error past N DFA states (default: no limit).
+  fsm dafsa <words.txt | language.json> [--separator S]
+      Minimal DAFSA as JSON. A text file has one word per line, split into
+      characters or at S; a JSON file is { alphabet, accept }.
+  fsm test <automaton | language.json> [--tokens auto|chars|longest|separator] [--separator S]
+      Reads strings from stdin, one per line, optionally "input,expected"
+      (expected: accept / reject). Prints a CSV report; exit code 1 if any
+      result differs from the expected one.
+
+Automata may be JSON, JFLAP .jff, DOT or a "q0 a -> q1" transition list.`;
+
+// Errors the user can fix: printed without a stack trace
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const args = { _: [], minimize: false, tokens: null, separator: null, maxStates: Infinity };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--minimize") args.minimize = true;
+        else if (arg === "--tokens" || arg === "--separator") {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value (see fsm --help)`);
+            args[arg.slice(2)] = argv[++i];
+        } else if (arg === "--max-states") {
+            const max = Number(argv[++i]);
+            if (!Number.isInteger(max) || max < 1) throw new UsageError("--max-states needs a positive whole number");
+            args.maxStates = max;
+        } else if (arg === "-h" || arg === "--help") args.help = true;
+        else if (arg.startsWith("--")) throw new UsageError(`unknown option ${arg} (see fsm --help)`);
+        else args._.push(arg);
+    }
+    if (args.tokens !== null && !TOKEN_MODES.includes(args.tokens))
+        throw new UsageError(`--tokens must be one of ${TOKEN_MODES.join(", ")}`);
+    return args;
+}
+
+function tokenizerOf(args) {
+    if (args.separator !== null && args.separator !== "") return { mode: args.tokens || "separator", separator: args.separator };
+    return { ...DEFAULT_TOKENIZER, mode: args.tokens || DEFAULT_TOKENIZER.mode };
+}
+
+function readInputFile(file) {
+    if (!file) throw new UsageError("missing input file");
+    try {
+        return fs.readFileSync(file, "utf8");
+    } catch (err) {
+        throw new UsageError(`cannot read ${file}: ${err.code || err.message}`);
+    }
+}
+
+// Importer errors are "Line n: …" lines: the user's to fix, not a crash
+function importFile(file) {
+    try {
+        return importAutomaton(readInputFile(file));
+    } catch (err) {
+        if (err instanceof UsageError) throw err;
+        throw new UsageError(`${file}:\n  ${err.message.split("\n").join("\n  ")}`);
+    }
+}
+
+function throwProblems(what, problems) {
+    if (problems.length) throw new UsageError(`${what}:\n` + problems.map((p) => `  ${p.path}: ${p.message}`).join("\n"));
+}
+
+// Same field order as the pages' JSON export
+function automatonJSON(a) {
+    return JSON.stringify({
+        states: [...a.states],
+        alphabet: [...a.alphabet],
+        start: a.start,
+        accept: [...a.accept],
+        transitions: a.transitions
+    }, null, 4) + "\n";
+}
+
+// An automaton in any import format, or a { alphabet, accept } language (→ its trie)
+function loadMachine(file, tokenizer) {
+    const { automaton, format } = importFile(file);
+    if (format === "json" && !(automaton && "states" in automaton)) {
+        throwProblems(`${file} is not a valid language`, validateLanguage(automaton, tokenizer));
+        return buildTrieDFA(automaton, tokenizer);
+    }
+    throwProblems(`${file} is not a valid automaton`, validateAutomaton(automaton, { epsilon: true }));
+    normalizeEpsilon(automaton);
+    return automaton;
+}
+
+function nfa2dfa(args) {
+    const machine = loadMachine(args._[0], DEFAULT_TOKENIZER);
+    // the subset construction knows nothing of outputs
+    if (machineKind(machine)) throw new UsageError(`${args._[0]} is a ${machineKind(machine) === "moore" ? "Moore" : "Mealy"} machine: converting it would drop its outputs`);
+    let dfa;
+    try {
+        dfa = nfaToDfa(machine, { maxStates: args.maxStates });
+    } catch (err) {
+        throw new UsageError(`${args._[0]}: ${err.message}`);
+    }
+    return automatonJSON(args.minimize ? minimizeDFA(dfa).dfa : dfa);
+}
+
+function dafsa(args) {
+    const file = args._[0];
+    if (path.extname(file || "").toLowerCase() === ".json") {
+        const { automaton: lang } = importFile(file);
+        const tokenizer = tokenizerOf(args);
+        throwProblems(`${file} is not a valid language`, validateLanguage(lang, tokenizer));
+        return automatonJSON(minimizeAcyclicDFA(buildTrieDFA(lang, tokenizer)));
+    }
+    const tokenizer = args.separator ? { mode: "separator", separator: args.separator } : { mode: "chars" };
+    const list = parseWordList(readInputFile(file), tokenizer);
+    if (!list.words.length) throw new UsageError(`${file} has no words`);
+    return automatonJSON(buildDAFSAIncremental(list.symbols, list.alphabet).dfa);
+}
+
+function test(args) {
+    const tokenizer = tokenizerOf(args);
+    const machine = loadMachine(args._[0], tokenizer);
+    let cases;
+    try {
+        cases = parseTestSuite(fs.readFileSync(0, "utf8"));
+    } catch (err) {
+        throw new UsageError(`stdin:\n  ${err.message.split("\n").join("\n  ")}`);
+    }
+    const results = runTestSuite(cases, (s) => accepts(machine, s, tokenizer));
+    if (results.some((r) => r.match === false)) process.exitCode = 1;
+    return batchReportToCSV(results);
+}
+
+const COMMANDS = { nfa2dfa, dafsa, test };
+
+function main(argv) {
+    const [command, ...rest] = argv;
+    if (!command || command === "-h" || command === "--help") {
+        process.stdout.write(USAGE + "\n");
+        return;
+    }
+    try {
+        if (!Object.hasOwn(COMMANDS, command)) throw new UsageError(`unknown command '${command}' (see fsm --help)`);
+        const args = parseArgs(rest);
+        if (args.help) {
+            process.stdout.write(USAGE + "\n");
+            return;
+        }
+        process.stdout.write(COMMANDS[command](args));
+    } catch (err) {
+        process.stderr.write(`fsm: ${err instanceof UsageError ? err.message : err.stack}\n`);
+        process.exitCode = 2;
+    }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,80 @@
+/* cli/fsm.js end to end: real processes, the example files as input */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const ROOT = path.join(__dirname, "..");
+const CLI = path.join(ROOT, "cli", "fsm.js");
+
+function fsm(args, input = "") {
+    const run = spawnSync(process.execPath, [CLI, ...args], { cwd: ROOT, input, encoding: "utf8", timeout: 20000 });
+    return { status: run.status, stdout: run.stdout, stderr: run.stderr };
+}
+
+test("nfa2dfa prints the DFA of ExampleNFA.json as JSON", () => {
+    const { status, stdout } = fsm(["nfa2dfa", "ExampleNFA.json"]);
+    assert.equal(status, 0);
+    const dfa = JSON.parse(stdout);
+    assert.deepEqual(dfa.states, ["q1", "q1,q2"]);
+    assert.deepEqual(dfa.transitions["q1,q2"], { a: ["q1,q2"], b: ["q1"] });
+});
+
+test("dafsa builds the minimal DAFSA of ExampleLanguage.json", () => {
+    const { status, stdout } = fsm(["dafsa", "ExampleLanguage.json"]);
+    assert.equal(status, 0);
+    const dafsa = JSON.parse(stdout);
+    assert.equal(dafsa.states.length, 5);
+    assert.ok(!("counts" in dafsa));
+});
+
+test("dafsa reads plain word lists", (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fsm-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, "words.txt");
+    fs.writeFileSync(file, "cat\ncats\ndog\ndogs\n");
+    const { status, stdout } = fsm(["dafsa", file]);
+    assert.equal(status, 0);
+    // c-a-t and d-o-g share the final "(s)" tail
+    assert.equal(JSON.parse(stdout).states.length, 7);
+});
+
+test("test grades a CSV suite from stdin and fails on a mismatch", () => {
+    const pass = fsm(["test", "ExampleNFA.json"], "a,accept\nab,reject\n\"\",reject\nbba\n");
+    assert.equal(pass.status, 0);
+    assert.deepEqual(pass.stdout.trim().split("\n"), [
+        "input,expected,result,reason,match",
+        "a,accept,accept,Reached an accept state,match",
+        "ab,reject,reject,No accept state reached,match",
+        "\"\",reject,reject,No accept state reached,match",
+        "bba,,accept,Reached an accept state,"
+    ]);
+
+    const fail = fsm(["test", "ExampleLanguage.json"], "aabb,accept\nb,accept\n");
+    assert.equal(fail.status, 1);
+    assert.match(fail.stdout, /b,accept,reject,.*,MISMATCH/);
+});
+
+test("invalid input is reported on stderr with exit code 2", () => {
+    const missing = fsm(["nfa2dfa", "no-such-file.json"]);
+    assert.equal(missing.status, 2);
+    assert.match(missing.stderr, /cannot read no-such-file\.json/);
+
+    const tooBig = fsm(["nfa2dfa", "ExampleNFA.json", "--max-states", "1"]);
+    assert.equal(tooBig.status, 2);
+    assert.match(tooBig.stderr, /more than 1 states/);
+
+    const unknown = fsm(["frobnicate"]);
+    assert.equal(unknown.status, 2);
+    assert.match(unknown.stderr, /unknown command/);
+
+    // names of Object.prototype members are no commands either
+    for (const name of ["toString", "constructor"]) {
+        const inherited = fsm([name]);
+        assert.equal(inherited.status, 2, name);
+        assert.equal(inherited.stderr, `fsm: unknown command '${name}' (see fsm --help)\n`);
+    }
+});
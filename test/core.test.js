@@ -0,0 +1,373 @@
+/* Algorithms of JS/AutomataCore.js and friends, run headless against the
+   example files shipped with the project (node --test) */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { EPSILON, simulate, accepts, transduce, findCounterexample, runPath, nfaToDfa, normalizeEpsilon, buildTrieDFA, findCycleState, minimizeAcyclicDFA } = require("../JS/AutomataCore.js");
+const { minimizeDFA, isDFA } = require("../JS/MinimizeDFA.js");
+const { BOOLEAN_OPS, productDFA, complementDFA } = require("../JS/ProductDFA.js");
+const { tokenize } = require("../JS/Tokenize.js");
+const { importAutomaton } = require("../JS/Import.js");
+const { validateAutomaton, fixAutomaton, validateLanguage, validateTokenizer } = require("../JS/Validate.js");
+const { buildDAFSAIncremental, parseWordList } = require("../JS/IncrementalDAFSA.js");
+const { isMinimalDAFSA, addWordToDAFSA, removeWordFromDAFSA } = require("../JS/DAFSAUpdate.js");
+const { prefixCompletions, fuzzySearch } = require("../JS/WordSearch.js");
+const { rightLanguageCounts, wordToIndex, indexToWord } = require("../JS/WordIndex.js");
+const { APPLICATION_MACHINES, EVENT_TOKENIZER } = require("../JS/ApplicationMachines.js");
+
+const { readExample, allWords } = require("./helpers.js");
+
+test("ExampleNFA.json is valid and accepts exactly the strings ending in 'a'", () => {
+    const nfa = readExample("ExampleNFA.json");
+    assert.deepEqual(validateAutomaton(nfa, { epsilon: true }), []);
+    for (const w of allWords(["a", "b"], 6)) {
+        assert.equal(accepts(nfa, w).accepted, w.endsWith("a"), `"${w}"`);
+    }
+});
+
+test("nfaToDfa on ExampleNFA.json gives an equivalent DFA", () => {
+    const nfa = readExample("ExampleNFA.json");
+    const dfa = nfaToDfa(nfa);
+    assert.ok(isDFA(dfa));
+    assert.deepEqual(dfa.states, ["q1", "q1,q2"]);
+    assert.equal(dfa.start, "q1");
+    assert.deepEqual(dfa.accept, ["q1,q2"]);
+    for (const w of allWords(["a", "b"], 6)) {
+        assert.equal(accepts(dfa, w).accepted, accepts(nfa, w).accepted, `"${w}"`);
+    }
+    assert.equal(minimizeDFA(dfa).dfa.states.length, 2);
+});
+
+test("nfaToDfa: subsets stay apart when state names contain commas; limit and progress", () => {
+    const nfa = {
+        states: ["a,b", "a", "b"],
+        alphabet: ["x"],
+        start: "a,b",
+        accept: ["b"],
+        transitions: { "a,b": { x: ["a", "b"] }, a: { x: ["a,b"] } }
+    };
+    const dfa = nfaToDfa(nfa);
+    assert.deepEqual(dfa.states, ["{a,b}", "a,b"]);
+    assert.deepEqual(dfa.transitions["a,b"].x, ["{a,b}"]);
+    assert.deepEqual(dfa.accept, ["a,b"]);
+
+    // "the 6th symbol from the end is a": 2^6 subsets
+    const states = ["q0", "q1", "q2", "q3", "q4", "q5", "q6"];
+    const transitions = { q0: { a: ["q0", "q1"], b: ["q0"] } };
+    for (let i = 1; i < 6; i++) transitions[states[i]] = { a: [states[i + 1]], b: [states[i + 1]] };
+    const blowUp = { states, alphabet: ["a", "b"], start: "q0", accept: ["q6"], transitions };
+    const counts = [];
+    assert.equal(nfaToDfa(blowUp, { onProgress: (n) => counts.push(n) }).states.length, 64);
+    assert.equal(counts[counts.length - 1], 64);
+    assert.throws(() => nfaToDfa(blowUp, { maxStates: 63 }), /more than 63 states/);
+
+    // a move into an undeclared state is an error, not a move into states[0]
+    const stray = { states: ["p", "q"], alphabet: ["a"], start: "p", accept: ["q"], transitions: { p: { a: ["r"] } } };
+    assert.throws(() => nfaToDfa(stray), /State 'r' is used but not declared/);
+});
+
+test("product and complement accept what the operation says on every word", () => {
+    const nfa = readExample("ExampleNFA.json"); // ends in 'a', over a and b
+    const even = {
+        states: ["e", "o"],
+        alphabet: ["b", "c"],
+        start: "e",
+        accept: ["e"],
+        transitions: { e: { b: ["o"], c: ["o"] }, o: { b: ["e"], c: ["e"] } }
+    };
+    const inA = (w) => accepts(nfa, w).accepted;
+    const inB = (w) => accepts(even, w).accepted;
+
+    for (const [op, rule] of Object.entries(BOOLEAN_OPS)) {
+        const product = productDFA(nfa, even, op);
+        assert.ok(isDFA(product), op);
+        assert.deepEqual(product.alphabet, ["a", "b", "c"]);
+        for (const w of allWords(product.alphabet, 5)) {
+            assert.equal(accepts(product, w).accepted, rule.accepts(inA(w), inB(w)), `${rule.label} on "${w}"`);
+        }
+    }
+
+    const complement = complementDFA(nfa);
+    for (const w of allWords(nfa.alphabet, 6)) assert.equal(accepts(complement, w).accepted, !inA(w), `¬A on "${w}"`);
+
+    assert.throws(() => productDFA(nfa, even, "xor"), /Unknown operation 'xor'/);
+    assert.throws(() => complementDFA(nfa, { maxStates: 1 }), /more than 1 states/);
+});
+
+test("findCounterexample: equivalent machines, then a shortest string that tells them apart", () => {
+    const nfa = readExample("ExampleNFA.json");
+    const dfa = nfaToDfa(nfa);
+    assert.equal(findCounterexample(nfa, dfa), null);
+    assert.equal(findCounterexample(nfa, minimizeDFA(dfa).dfa), null);
+
+    // ends in "a" versus ends in "a" or is "b"
+    const more = { ...dfa, states: [...dfa.states, "b"], accept: [...dfa.accept, "b"], transitions: { ...dfa.transitions } };
+    more.transitions.q1 = { ...dfa.transitions.q1, b: ["b"] };
+    more.transitions.b = { ...dfa.transitions.q1 };
+    assert.deepEqual(findCounterexample(nfa, more), { symbols: ["b"], acceptedBy: "B" });
+
+    // ε-moves are followed; symbols missing from one alphabet lead to ∅
+    const withEps = {
+        states: ["s", "t"],
+        alphabet: ["a"],
+        start: "s",
+        accept: ["t"],
+        transitions: { s: { [EPSILON]: ["t"] }, t: { a: ["t"] } }
+    };
+    const result = findCounterexample(withEps, { ...withEps, alphabet: ["a", "c"], transitions: { ...withEps.transitions, t: { a: ["t"], c: ["t"] } } });
+    assert.deepEqual(result, { symbols: ["c"], acceptedBy: "B" });
+    assert.deepEqual(runPath(withEps, ["a"]).map((step) => step.active), [["s", "t"], ["t"]]);
+    assert.deepEqual(runPath(withEps, ["a"])[0].taken, ["s→t"]);
+
+    // the pair {x, y} and the state "x,y" are different subsets
+    const commas = {
+        states: ["p", "x", "y", "x,y", "f"],
+        alphabet: ["a", "b", "c"],
+        start: "p",
+        accept: ["f"],
+        transitions: { p: { a: ["x", "y"], b: ["x,y"] }, x: { c: ["f"] } }
+    };
+    const other = { ...commas, transitions: { ...commas.transitions, "x,y": { c: ["f"] } } };
+    assert.deepEqual(findCounterexample(commas, other), { symbols: ["b", "c"], acceptedBy: "B" });
+});
+
+test("ε-moves: every spelling is normalized and followed", () => {
+    const nfa = {
+        states: ["s", "t", "u"],
+        alphabet: ["a"],
+        start: "s",
+        accept: ["u"],
+        epsilon: "eps",
+        transitions: { s: { eps: ["t"] }, t: { a: ["u"], "": ["u"] } }
+    };
+    normalizeEpsilon(nfa);
+    assert.deepEqual(nfa.transitions.t[EPSILON], ["u"]);
+    assert.ok(!("eps" in nfa.transitions.s));
+    assert.equal(accepts(nfa, "").accepted, true);
+    assert.equal(accepts(nfa, "a").accepted, true);
+    assert.equal(accepts(nfa, "aa").accepted, false);
+
+    const trace = simulate(nfa, "a");
+    assert.deepEqual(trace.steps[0].active.sort(), ["s", "t", "u"]);
+    assert.deepEqual(trace.steps[1].active, ["u"]);
+});
+
+test("ε-moves in a deterministic automaton are reported, not fixed away", () => {
+    const dfa = { states: ["p", "q"], alphabet: ["a"], start: "p", accept: ["q"], transitions: { p: { [EPSILON]: ["q"], b: ["q"] } } };
+    const problems = validateAutomaton(dfa, { deterministic: true });
+    assert.deepEqual(problems.map((p) => [p.path, p.fixable]), [["$.transitions.p[\"ε\"]", false], ["$.transitions.p.b", true]]);
+    assert.match(problems[0].message, /ε-moves are not allowed/);
+    assert.deepEqual(fixAutomaton(dfa, { deterministic: true }).transitions.p, { [EPSILON]: ["q"] });
+});
+
+test("symbols outside the alphabet are rejected with a reason", () => {
+    const nfa = readExample("ExampleNFA.json");
+    const { accepted, reason } = accepts(nfa, "abc");
+    assert.equal(accepted, false);
+    assert.match(reason, /'c' not in alphabet/);
+});
+
+test("ExampleLanguage.json: trie, then minimal DAFSA with the same words", () => {
+    const lang = readExample("ExampleLanguage.json");
+    assert.deepEqual(validateLanguage(lang), []);
+
+    const trie = buildTrieDFA(lang);
+    const dafsa = minimizeAcyclicDFA(trie);
+    assert.equal(trie.states.length, 6);
+    assert.equal(dafsa.states.length, 5);
+    assert.equal(findCycleState(dafsa), null);
+
+    const words = new Set(lang.accept);
+    for (const w of allWords(["a", "b"], 5)) {
+        assert.equal(accepts(trie, w).accepted, words.has(w), `trie "${w}"`);
+        assert.equal(accepts(dafsa, w).accepted, words.has(w), `DAFSA "${w}"`);
+    }
+});
+
+test("minimal DAFSA: right-language counts number the words lexicographically", () => {
+    const lang = readExample("ExampleLanguage.json");
+    const dafsa = minimizeAcyclicDFA(buildTrieDFA(lang));
+    const sorted = [...lang.accept].sort();
+    assert.equal(dafsa.counts[dafsa.start], sorted.length);
+    sorted.forEach((w, i) => {
+        assert.equal(wordToIndex(dafsa, [...w]), i);
+        assert.deepEqual(indexToWord(dafsa, i), [...w]);
+    });
+    assert.equal(wordToIndex(dafsa, ["b"]), -1);
+    assert.equal(indexToWord(dafsa, sorted.length), null);
+
+    // state names are only keys: Object.prototype members are states like any other
+    const named = {
+        states: ["constructor", "toString", "__proto__"],
+        alphabet: ["a", "b"],
+        start: "constructor",
+        accept: ["toString", "__proto__"],
+        transitions: { constructor: { a: ["toString"] }, toString: { b: ["__proto__"] } }
+    };
+    assert.deepEqual({ ...rightLanguageCounts(named) }, { constructor: 2, toString: 2, ["__proto__"]: 1 });
+    assert.equal(wordToIndex(named, ["a", "b"]), 1);
+    assert.deepEqual(indexToWord(named, 0), ["a"]);
+});
+
+test("the incremental construction matches trie + minimization", () => {
+    const text = "dogs\ncat\ndog\ncats\ncat\nmouse\nhouse\n";
+    const list = parseWordList(text, { mode: "chars" });
+    const { dfa, stats } = buildDAFSAIncremental(list.symbols, list.alphabet);
+    const viaTrie = minimizeAcyclicDFA(buildTrieDFA({ alphabet: list.alphabet, accept: list.words }));
+    assert.equal(stats.words, 6);
+    assert.equal(dfa.states.length, viaTrie.states.length);
+    for (const w of ["cat", "cats", "dog", "dogs", "mouse", "house", "ca", "mous", "houses", ""]) {
+        assert.equal(accepts(dfa, w).accepted, accepts(viaTrie, w).accepted, `"${w}"`);
+    }
+});
+
+test("adding and removing words one at a time keeps the DAFSA minimal", () => {
+    const alphabet = ["a", "b"];
+    const candidates = allWords(alphabet, 4);
+    const words = new Set(["ab"]);
+    let dafsa = minimizeAcyclicDFA(buildTrieDFA({ alphabet, accept: [...words] }));
+    let seed = 7; // fixed pseudo-random sequence of updates
+    for (let step = 0; step < 80; step++) {
+        seed = (seed * 48271) % 2147483647;
+        const w = candidates[seed % candidates.length];
+        const op = words.has(w) ? "remove" : "add";
+        dafsa = (op === "add" ? addWordToDAFSA : removeWordFromDAFSA)(dafsa, [...w]).dfa;
+        if (op === "add") words.add(w);
+        else words.delete(w);
+
+        const label = `step ${step}: ${op} "${w}"`;
+        assert.ok(isMinimalDAFSA(dafsa), label);
+        assert.equal(dafsa.states.length, minimizeAcyclicDFA(buildTrieDFA({ alphabet, accept: [...words] })).states.length, label);
+        assert.equal(dafsa.counts[dafsa.start], words.size, label);
+        for (const x of allWords(alphabet, 5)) assert.equal(accepts(dafsa, x).accepted, words.has(x), `${label}, "${x}"`);
+    }
+    assert.throws(() => addWordToDAFSA(dafsa, [...[...words][0]]), /already in the language/);
+});
+
+test("prefix completions and fuzzy search agree with a scan of the word list", () => {
+    const list = parseWordList("cat\ncats\ncar\ncart\ncoat\nact\nat\ndo\ndog\ndot\ndots\n", { mode: "chars" });
+    const { dfa } = buildDAFSAIncremental(list.symbols, list.alphabet);
+    const words = [...list.words].sort();
+
+    for (const prefix of ["", "c", "ca", "cart", "do", "x"]) {
+        const found = prefixCompletions(dfa, [...prefix]);
+        const expected = words.filter((w) => w.startsWith(prefix));
+        if (!expected.length) assert.equal(found, null, prefix);
+        else assert.deepEqual(found.words.map((w) => w.join("")), expected, prefix);
+    }
+
+    // plain dynamic-programming edit distance
+    const levenshtein = (x, y) => {
+        let row = Array.from({ length: y.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= x.length; i++) {
+            const next = [i];
+            for (let j = 1; j <= y.length; j++) {
+                next.push(Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (x[i - 1] === y[j - 1] ? 0 : 1)));
+            }
+            row = next;
+        }
+        return row[y.length];
+    };
+    for (const query of ["cat", "ca", "dgo", "", "carts", "tac", "xyz"]) {
+        for (const k of [0, 1, 2]) {
+            const expected = words
+                .map((w) => ({ word: w, distance: levenshtein(query, w) }))
+                .filter((m) => m.distance <= k)
+                .sort((x, y) => x.distance - y.distance || (x.word < y.word ? -1 : 1));
+            const { matches, truncated } = fuzzySearch(dfa, [...query], k);
+            assert.equal(truncated, false);
+            assert.deepEqual(matches.map((m) => ({ word: m.word.join(""), distance: m.distance })), expected, `"${query}" within ${k}`);
+        }
+    }
+    assert.equal(fuzzySearch(dfa, [..."cat"], 2, 3).truncated, true);
+});
+
+test("findCycleState spots a cycle", () => {
+    const dfa = { states: ["p", "q"], alphabet: ["a"], start: "p", accept: ["q"], transitions: { p: { a: ["q"] }, q: { a: ["p"] } } };
+    assert.notEqual(findCycleState(dfa), null);
+
+    // a single long word: acyclic, and deeper than the call stack would allow
+    const long = minimizeAcyclicDFA(buildTrieDFA({ alphabet: ["a", "b"], accept: ["ab".repeat(10000)] }));
+    assert.equal(findCycleState(long), null);
+    long.transitions[long.states[long.states.length - 1]] = { a: [long.start] };
+    assert.notEqual(findCycleState(long), null);
+});
+
+test("multi-character symbols: longest match and separator tokens", () => {
+    const alphabet = ["if", "i", "f", "id"];
+    assert.deepEqual(tokenize("ifid", alphabet).symbols, ["if", "id"]);
+    assert.deepEqual(tokenize("if id", alphabet, { mode: "separator", separator: " " }).symbols, ["if", "id"]);
+
+    const dafsa = minimizeAcyclicDFA(buildTrieDFA({ alphabet, accept: ["if id", "id"], separator: " " }));
+    assert.equal(accepts(dafsa, "if id", { mode: "separator", separator: " " }).accepted, true);
+    assert.equal(accepts(dafsa, "i f", { mode: "separator", separator: " " }).accepted, false);
+});
+
+test("saved tokenizers must name a known mode and a non-empty separator", () => {
+    assert.deepEqual(validateTokenizer({ mode: "longest", separator: " " }), []);
+    assert.deepEqual(validateTokenizer({ mode: "chars" }), []);
+    assert.deepEqual(validateTokenizer({ mode: "toString", separator: "" }, "$.tokenizer").map((p) => p.path), ["$.tokenizer.mode", "$.tokenizer.separator"]);
+    assert.deepEqual(validateTokenizer("auto").map((p) => p.path), ["$"]);
+});
+
+test("imported transition lists run through the same algorithms", () => {
+    const { automaton } = importAutomaton("start q0\naccept q1\nq0 a -> q0\nq0 a -> q1\nq0 b -> q0\n");
+    assert.deepEqual(validateAutomaton(automaton, { epsilon: true }), []);
+    normalizeEpsilon(automaton);
+    const dfa = nfaToDfa(automaton);
+    assert.equal(accepts(dfa, "bba").accepted, true);
+    assert.equal(accepts(dfa, "ab").accepted, false);
+});
+
+test("DOT statements split at ';' only outside quoted strings", () => {
+    const { automaton } = importAutomaton('digraph { __start [shape=point]; __start -> q0; q1 [shape=doublecircle]; q0 -> q1 [label="a;b"]; }');
+    assert.equal(automaton.start, "q0");
+    assert.deepEqual(automaton.accept, ["q1"]);
+    assert.deepEqual(automaton.transitions.q0, { "a;b": ["q1"] });
+});
+
+test("the application machines are valid and run their example traces", () => {
+    const { trafficLight, vendingMachine } = APPLICATION_MACHINES;
+    for (const { automaton } of [trafficLight, vendingMachine]) {
+        assert.deepEqual(validateAutomaton(automaton, { epsilon: true }), []);
+    }
+
+    // Moore: the start state's lamps first, then one output per event
+    const light = transduce(trafficLight.automaton, trafficLight.example, EVENT_TOKENIZER);
+    assert.equal(light.kind, "moore");
+    assert.ok(light.finished);
+    assert.equal(light.outputs.length, light.symbols.length + 1);
+    assert.equal(light.outputs[0], "Main_G, Side_R, Ped_S");
+    assert.equal(light.outputs[4], "Ped_F, Main_R, Side_R");
+    assert.deepEqual(light.steps[light.steps.length - 1].active, ["S1"]);
+
+    // Mealy: one output per move
+    const vend = transduce(vendingMachine.automaton, vendingMachine.example, EVENT_TOKENIZER);
+    assert.equal(vend.kind, "mealy");
+    assert.ok(vend.finished);
+    assert.equal(vend.steps[0].output, null);
+    assert.deepEqual(vend.outputs.slice(3), ["Dispense, Lock", "Return_Ch", "Display \"Insert Coin\", Ready"]);
+
+    const stuck = transduce(vendingMachine.automaton, "coin_inserted select_ok", EVENT_TOKENIZER);
+    assert.equal(stuck.finished, false);
+    assert.equal(stuck.outputs.length, 1);
+});
+
+test("Moore / Mealy outputs: determinism required, dangling outputs fixable", () => {
+    const mealy = {
+        states: ["p", "q"],
+        alphabet: ["a"],
+        start: "p",
+        accept: [],
+        transitions: { p: { a: ["p", "q"] } },
+        transitionOutputs: { p: { a: "x" }, q: { a: "y" }, r: { a: "z" } }
+    };
+    const problems = validateAutomaton(mealy, { epsilon: true });
+    assert.ok(problems.some((p) => p.path === "$.transitions.p.a" && /deterministic/.test(p.message)));
+    assert.deepEqual(problems.filter((p) => p.fixable).map((p) => p.path), ["$.transitionOutputs.q.a", "$.transitionOutputs.r"]);
+    assert.deepEqual(fixAutomaton(mealy, { epsilon: true }).transitionOutputs, { p: { a: "x" } });
+
+    const both = { ...mealy, transitions: { p: { a: ["q"] } }, transitionOutputs: { p: { a: "x" } }, stateOutputs: { p: "0" } };
+    assert.match(validateAutomaton(both).map((p) => p.message).join("\n"), /not both/);
+});
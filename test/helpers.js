@@ -0,0 +1,20 @@
+/* Helpers shared by the test files (no tests of its own) */
+
+const fs = require("fs");
+const path = require("path");
+
+// One of the example files shipped at the top of the project, parsed
+const readExample = (name) => JSON.parse(fs.readFileSync(path.join(__dirname, "..", name), "utf8"));
+
+// Every string over `alphabet` up to `maxLength` symbols
+function allWords(alphabet, maxLength) {
+    const words = [""];
+    let layer = [""];
+    for (let n = 1; n <= maxLength; n++) {
+        layer = layer.flatMap((w) => alphabet.map((sym) => w + sym));
+        words.push(...layer);
+    }
+    return words;
+}
+
+module.exports = { readExample, allWords };
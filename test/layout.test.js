@@ -0,0 +1,55 @@
+/* JS/GraphLayout.js: deterministic layouts and collapsing of large machines */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildTrieDFA, minimizeAcyclicDFA } = require("../JS/AutomataCore.js");
+const { bfsTree, collapseSubtrees, layeredLayout, circularLayout } = require("../JS/GraphLayout.js");
+
+// Every ternary numeral with `digits` digits below `count`
+function numerals(count, digits) {
+    return Array.from({ length: count }, (_, i) => i.toString(3).padStart(digits, "0"));
+}
+
+test("layered layout: one column per breadth-first depth, unreachable states last", () => {
+    const a = {
+        states: ["p", "q", "r", "s", "lost"],
+        alphabet: ["a", "b"],
+        start: "p",
+        accept: ["s"],
+        transitions: { p: { a: ["q"], b: ["r"] }, q: { a: ["s"] }, r: { a: ["s"] }, s: { b: ["p"] } }
+    };
+    const tree = bfsTree(a);
+    assert.deepEqual(tree.order, ["p", "q", "r", "s", "lost"]);
+    assert.equal(tree.depth.lost, 3);
+
+    const pos = layeredLayout(a);
+    assert.ok(pos.p.x < pos.q.x && pos.q.x === pos.r.x && pos.r.x < pos.s.x);
+    assert.notEqual(pos.q.y, pos.r.y);
+    assert.ok(pos.__start.x < pos.p.x);
+    assert.deepEqual(layeredLayout(a), pos, "same machine, same layout");
+
+    const ring = circularLayout(a);
+    assert.equal(new Set(a.states.map((s) => `${ring[s].x},${ring[s].y}`)).size, a.states.length);
+});
+
+test("collapseSubtrees keeps a large DAFSA within the limit and opens groups on request", () => {
+    const dfa = buildTrieDFA({ alphabet: ["0", "1", "2"], accept: numerals(400, 6) });
+    const view = collapseSubtrees(dfa, 100);
+    const hidden = Object.values(view.groups).reduce((x, y) => x + y, 0);
+    assert.ok(view.automaton.states.length <= 100);
+    assert.equal(view.automaton.states.length + hidden, dfa.states.length);
+    for (const [from, bySym] of Object.entries(view.automaton.transitions)) {
+        assert.ok(view.automaton.states.includes(from));
+        for (const targets of Object.values(bySym)) assert.ok(targets.every((t) => view.automaton.states.includes(t)));
+    }
+
+    const [group] = Object.keys(view.groups);
+    const opened = collapseSubtrees(dfa, 100, [group]);
+    assert.ok(opened.automaton.states.length > view.automaton.states.length);
+    assert.ok(!(group in opened.groups) || opened.groups[group] < view.groups[group]);
+
+    // small machines are drawn as they are
+    const small = minimizeAcyclicDFA(buildTrieDFA({ alphabet: ["a", "b"], accept: ["ab", "b"] }));
+    assert.equal(collapseSubtrees(small).automaton, small);
+});
@@ -0,0 +1,84 @@
+/* JS/PDACore.js: the breadth-first configuration search on ExamplePDA.json
+   and on a PDA that only works nondeterministically */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizePDA, formatStack, simulatePDA, pdaToJSON } = require("../JS/PDACore.js");
+const { validatePDA, fixPDA } = require("../JS/Validate.js");
+
+const { readExample } = require("./helpers.js");
+
+const examplePDA = () => readExample("ExamplePDA.json");
+
+test("ExamplePDA.json accepts exactly aⁿbⁿ and its runs end with the stack as pushed", () => {
+    const pda = examplePDA();
+    assert.deepEqual(validatePDA(pda), []);
+    normalizePDA(pda);
+    for (const [w, expected] of [["", true], ["ab", true], ["aaabbb", true], ["aab", false], ["abb", false], ["ba", false]]) {
+        assert.equal(simulatePDA(pda, w).accepted, expected, `"${w}"`);
+    }
+
+    const { path: run } = simulatePDA(pda, "aabb");
+    assert.deepEqual(run.map((step) => step.state), ["q0", "q0", "q0", "q1", "q1", "q1", "q2"]);
+    assert.deepEqual(run[2].stack, ["Z", "A", "A"]);
+    assert.deepEqual(run[2].move, { from: "q0", to: "q0", symbol: "a", pop: "A", push: ["A", "A"] });
+
+    // the export reads back to the same machine
+    assert.deepEqual(normalizePDA(JSON.parse(pdaToJSON(pda))), pda);
+});
+
+test("pushes are only joined into one string when it reads back as the same symbols", () => {
+    const pda = normalizePDA({
+        states: ["s"], alphabet: ["a"], stackAlphabet: ["A", "B", "AB", "Z"], start: "s", startStack: "Z", accept: ["s"],
+        transitions: { s: { a: [{ pop: "Z", push: ["A", "B"], to: "s" }, { pop: "A", push: "AZ", to: "s" }, { pop: "B", push: "AB", to: "s" }] } }
+    });
+    assert.deepEqual(pda.transitions.s.a.map((m) => m.push), [["A", "B"], ["A", "Z"], ["AB"]]);
+    assert.deepEqual(JSON.parse(pdaToJSON(pda)).transitions.s.a.map((m) => m.push), [["A", "B"], "AZ", ["AB"]]);
+    assert.deepEqual(normalizePDA(JSON.parse(pdaToJSON(pda))), pda);
+    assert.equal(formatStack(["A", "B"], pda.stackAlphabet), "A B");
+    assert.equal(formatStack(["A", "Z"], pda.stackAlphabet), "AZ");
+});
+
+test("even palindromes by empty stack: the middle is guessed, ε-loops hit the step limit", () => {
+    const pal = {
+        states: ["push", "pop"],
+        alphabet: ["a", "b"],
+        stackAlphabet: ["Z", "a", "b"],
+        start: "push",
+        startStack: "Z",
+        accept: [],
+        acceptBy: "empty",
+        transitions: {
+            push: { a: [{ pop: "", push: "a", to: "push" }], b: [{ pop: "", push: "b", to: "push" }], "": [{ pop: "", push: "", to: "pop" }] },
+            pop: { a: [{ pop: "a", push: "", to: "pop" }], b: [{ pop: "b", push: "", to: "pop" }], "ε": [{ pop: "Z", push: "", to: "pop" }] }
+        }
+    };
+    assert.deepEqual(validatePDA(pal), []);
+    normalizePDA(pal);
+    for (const [w, expected] of [["abba", true], ["", true], ["aa", true], ["aba", false], ["abab", false]]) {
+        assert.equal(simulatePDA(pal, w).accepted, expected, `"${w}"`);
+    }
+    assert.equal(simulatePDA(pal, "abba", { acceptBy: "final" }).accepted, false);
+
+    const pump = normalizePDA({
+        states: ["s"], alphabet: ["a"], stackAlphabet: ["Z"], start: "s", startStack: "Z", accept: [],
+        transitions: { s: { "ε": [{ pop: "ε", push: "Z", to: "s" }] } }
+    });
+    const result = simulatePDA(pump, "a", { limit: 200 });
+    assert.equal(result.accepted, false);
+    assert.equal(result.limitHit, true);
+    assert.match(result.reason, /Step limit reached: 200/);
+});
+
+test("validatePDA reports JSON paths; fixPDA drops moves to undeclared states", () => {
+    const pda = examplePDA();
+    pda.transitions.q1.b.push({ pop: "A", push: "ε", to: "q9" });
+    pda.transitions.q0.a[0].push = "AX";
+    const problems = validatePDA(pda);
+    assert.deepEqual(problems.map((p) => [p.path, p.fixable]), [
+        ["$.transitions.q0.a[0].push", false],
+        ["$.transitions.q1.b[1].to", true]
+    ]);
+    assert.equal(fixPDA(pda).transitions.q1.b.length, 1);
+});
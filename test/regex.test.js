@@ -0,0 +1,74 @@
+/* JS/RegexToNFA.js, and JS/AutomatonToRegex.js (state elimination) read back through it */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { accepts, nfaToDfa } = require("../JS/AutomataCore.js");
+const { minimizeDFA } = require("../JS/MinimizeDFA.js");
+const { regexToNFA, literalSymbols } = require("../JS/RegexToNFA.js");
+const { REGEX_ORDERS, EMPTY_REGEX, deriveRegex } = require("../JS/AutomatonToRegex.js");
+
+const { readExample, allWords } = require("./helpers.js");
+
+function assertSameLanguage(a, regex) {
+    const back = regexToNFA(regex, a.alphabet.join(","));
+    for (const w of allWords(a.alphabet, 7)) {
+        assert.equal(accepts(back, w).accepted, accepts(a, w).accepted, `"${w}" with ${regex}`);
+    }
+}
+
+test("a blank alphabet is inferred from the regex, ranges included", () => {
+    assert.deepEqual(literalSymbols("[a-c]x"), ["a", "b", "c", "x"]);
+    assert.deepEqual(literalSymbols("[^\\]-_]\\*"), ["]", "^", "_", "*"]);
+    const nfa = regexToNFA("[a-c]", "");
+    assert.deepEqual(nfa.alphabet, ["a", "b", "c"]);
+    for (const w of ["a", "b", "c"]) assert.ok(accepts(nfa, w).accepted, w);
+    assert.throws(() => regexToNFA("[\u0000-\uffff]", ""), /too large to infer the alphabet/);
+});
+
+test("every elimination order describes the example NFA's language", () => {
+    const nfa = readExample("ExampleNFA.json");
+    for (const order of [...REGEX_ORDERS, ["q2"]]) {
+        const { regex, order: eliminated } = deriveRegex(nfa, { order });
+        assert.deepEqual([...eliminated].sort(), ["q1", "q2"]);
+        assertSameLanguage(nfa, regex);
+    }
+    assert.deepEqual(deriveRegex(nfa, { order: ["q2"] }).order, ["q2", "q1"]);
+    assert.throws(() => deriveRegex(nfa, { order: ["q9"] }), /Unknown state in the elimination order: q9/);
+});
+
+test("round trip through regexToNFA, with ε-moves, dead states and simplification", () => {
+    for (const src of ["(a|b)*abb", "a*b?|ba+", "(ab|ε)(c|a*)", "((a|b)(a|b))*", "a(b|c)*c"]) {
+        const nfa = regexToNFA(src, "");
+        assertSameLanguage(nfa, deriveRegex(nfa).regex);
+        const dfa = minimizeDFA(nfaToDfa(nfa)).dfa;
+        assertSameLanguage(dfa, deriveRegex(dfa, { order: "reverse" }).regex);
+    }
+    assert.equal(deriveRegex(regexToNFA("(a|b)*abb", "")).regex, "(a|b)*abb");
+
+    const trap = {
+        states: ["p", "q", "dead"],
+        alphabet: ["a", "b"],
+        start: "p",
+        accept: ["q"],
+        transitions: { p: { a: ["q"], b: ["dead"] }, q: { a: ["q"] }, dead: { a: ["dead"], b: ["dead"] } }
+    };
+    const result = deriveRegex(trap, { trace: true });
+    assert.equal(result.regex, "a+");
+    assert.deepEqual(result.dropped, ["dead"]);
+    assert.equal(result.steps.length, 3);
+    assert.deepEqual(result.steps[2], { state: null, edges: [["S", "F", "a+"]] });
+
+    assert.equal(deriveRegex({ ...trap, accept: [] }).regex, EMPTY_REGEX);
+});
+
+test("multi-character symbols are separated by spaces", () => {
+    const a = {
+        states: ["s", "t"],
+        alphabet: ["if", "x"],
+        start: "s",
+        accept: ["s"],
+        transitions: { s: { if: ["t"], x: ["s"] }, t: { if: ["s"] } }
+    };
+    assert.equal(deriveRegex(a).regex, "(x|if if)*");
+});